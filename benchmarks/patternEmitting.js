@@ -1,31 +1,64 @@
 /**
  * A naive benchmark testing the performance of listening to patterns
- * with PatternEmitter.
+ * with PatternEmitter, both with and without its cache of matching
+ * listeners.
  */
 
 var Benchmark      = require('benchmark');
 var PatternEmitter = require('../lib/patternEmitter');
 
-var suite          = new Benchmark.Suite();
-var patternEmitter = new PatternEmitter();
+var suite           = new Benchmark.Suite();
+var patternEmitter  = new PatternEmitter();
+var uncachedEmitter = new PatternEmitter({cacheSize: 0});
+var manyEmitter     = new PatternEmitter();
+var uncachedMany    = new PatternEmitter({cacheSize: 0});
 
 var i, j;
 
-// Setup emitter with 10 listeners on each of 10 patterns
+// Setup emitters with 10 listeners on each of 10 patterns
 
-for (i = 0; i < 10; i++) {
-  for (j = 0; j < 10; j++) {
-    patternEmitter.on(new RegExp(':' + i + '$'), function() {
+[patternEmitter, uncachedEmitter].forEach(function(emitter) {
+  for (i = 0; i < 10; i++) {
+    for (j = 0; j < 10; j++) {
+      emitter.on(new RegExp(':' + i + '$'), function() {
+        // Do nothing
+      });
+    }
+  }
+});
+
+// Setup emitters with a single listener on each of 500 patterns
+
+[manyEmitter, uncachedMany].forEach(function(emitter) {
+  emitter.setMaxPatterns(0);
+
+  for (i = 0; i < 500; i++) {
+    emitter.on(new RegExp('^event:' + i + '$'), function() {
       // Do nothing
     });
   }
-}
+});
 
 suite.add('PatternEmitter', function() {
   for (i = 0; i < 10; i++) {
     patternEmitter.emit('event:' + i);
   }
 })
+.add('PatternEmitter without cache', function() {
+  for (i = 0; i < 10; i++) {
+    uncachedEmitter.emit('event:' + i);
+  }
+})
+.add('PatternEmitter with 500 patterns', function() {
+  for (i = 0; i < 10; i++) {
+    manyEmitter.emit('event:' + i);
+  }
+})
+.add('PatternEmitter with 500 patterns without cache', function() {
+  for (i = 0; i < 10; i++) {
+    uncachedMany.emit('event:' + i);
+  }
+})
 .on('cycle', function(event) {
   console.log(String(event.target));
 })
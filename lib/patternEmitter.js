@@ -1,337 +1,3885 @@
 var util = require('util');
+var stream = require('stream');
+var StringDecoder = require('string_decoder').StringDecoder;
 var EventEmitter = require('events').EventEmitter;
+var PatternIndex = require('./patternIndex');
 
 var domain;
 
 /**
  * Creates a new PatternEmitter, which extends EventEmitter. In addition to
- * EventEmitter's prototype, it allows listeners to register to events matching
- * a RegExp.
+ * EventEmitter's API, it allows listeners to register to events matching
+ * a RegExp. If the glob or delimiter option is set, string event types
+ * containing glob syntax are also treated as patterns, as are route-style
+ * templates if the templates option is set. Listeners are stored in its own
+ * registry rather than relying on EventEmitter's internals, which differ
+ * between versions of Node. If the NODE_DEBUG environment variable includes
+ * 'pattern-emitter', each emit is traced to stderr, as described by
+ * setTracer.
  *
  * @constructor
  * @extends EventEmitter
  *
+ * @param {object}  [options]               Optional settings
+ * @param {boolean} [options.glob]          Whether to treat strings containing
+ *                                          '*', '?' or '{a,b}' as globs
+ * @param {string}  [options.delimiter]     Separates segments of event types,
+ *                                          enabling globs in which '*'
+ *                                          matches a single segment and '**'
+ *                                          any number
+ * @param {boolean} [options.templates]     Whether to treat strings
+ *                                          containing parameters, e.g.
+ *                                          'user/:id', as templates
+ * @param {int}     [options.cacheSize]     The max number of event types for
+ *                                          which to cache matching listeners,
+ *                                          with 0 disabling the cache
+ * @param {string}  [options.asyncStrategy] How emitAsync invokes listeners:
+ *                                          'parallel', 'serial' or
+ *                                          'allSettled'
+ * @param {string}  [options.asyncErrors]   How emitAsync handles failures:
+ *                                          'reject' or 'emit'
+ * @param {boolean} [options.isolateErrors] Whether to dispatch errors thrown
+ *                                          by listeners as 'listenerError'
+ *                                          events, invoking the remaining
+ *                                          listeners
+ * @param {int}     [options.historySize]   The max number of events to retain
+ *                                          per event type, enabling replay
+ * @param {int}     [options.historyTTL]    Milliseconds after which retained
+ *                                          events expire, enabling replay
+ * @param {int}     [options.historyTypes]  The max number of event types for
+ *                                          which to retain events
+ * @param {boolean} [options.stats]         Whether to gather statistics for
+ *                                          event types and patterns
+ *
  * @property {*} event The type of the last emitted event
+ *
+ * @throws {TypeError} If given an unknown async strategy
  */
-function PatternEmitter() {
+function PatternEmitter(options) {
   EventEmitter.call(this);
 
   this.event = '';
   this._regexesCount = 0;
+  this._options = options || {};
+
+  if (this._options.asyncStrategy &&
+      PatternEmitter.asyncStrategies.indexOf(this._options.asyncStrategy) < 0) {
+    throw TypeError('asyncStrategy must be one of: ' +
+      PatternEmitter.asyncStrategies.join(', '));
+  }
+
+  this._cacheSize = this._options.cacheSize;
+  if (this._cacheSize === undefined) {
+    this._cacheSize = PatternEmitter.defaultCacheSize;
+  }
+  this._cache = this._cacheSize ? new Map() : null;
 
   this._events = this._events || {};
   this._patternEvents = this._patternEvents || {};
   this._regexes = this._regexes || {};
+  this._index = new PatternIndex();
+
+  // The order and priority of listeners, in the same order as their arrays
+  this._ranks = Object.create(null);
+  this._patternRanks = Object.create(null);
+  this._counter = 0;
+
+  // Middleware, in the order it was added
+  this._middleware = [];
+
+  // Retained events by type, ordered by their latest event, if enabled
+  this._history = (this._options.historySize || this._options.historyTTL) ?
+    new Map() : null;
+  this._historyCounter = 0;
+  this._historyTypes = this._options.historyTypes;
+  if (this._historyTypes === undefined) {
+    this._historyTypes = PatternEmitter.defaultHistoryTypes;
+  }
+
+  this._tracer = PatternEmitter._debug.enabled ? PatternEmitter._logTrace :
+    null;
+
+  // Event types and patterns for which leak warnings were emitted
+  this._warnedTypes = new Set();
+  this._warnedPatterns = new Set();
+  this._warnedMaxPatterns = false;
+
+  // The prefixes and child emitters of namespaces, by name
+  this._namespaces = new Map();
+
+  // Counters by event type and pattern, if enabled
+  this._stats = this._options.stats ? {types: new Map(), patterns: new Map()} :
+    null;
 }
 
 util.inherits(PatternEmitter, EventEmitter);
 module.exports = PatternEmitter;
 
-// Store overridden EventEmitter methods as private
+/**
+ * The default number of event types for which an emitter caches matching
+ * listeners.
+ *
+ * @type {int}
+ */
+PatternEmitter.defaultCacheSize = 100;
+
+/**
+ * The default number of event types for which an emitter retains events.
+ *
+ * @type {int}
+ */
+PatternEmitter.defaultHistoryTypes = 100;
+
+/**
+ * The default max number of distinct patterns an emitter may have before a
+ * warning is emitted, with 0 disabling the warning.
+ *
+ * @type {int}
+ */
+PatternEmitter.defaultMaxPatterns = 100;
+
+/**
+ * The strategies with which emitAsync may invoke listeners.
+ *
+ * @type {string[]}
+ */
+PatternEmitter.asyncStrategies = ['parallel', 'serial', 'allSettled'];
+
+// The metrics exported by prometheusStats, for both event types and patterns
+
+PatternEmitter._metrics = [
+  {group: 'types', counter: 'emits', name: 'emits_total',
+    help: 'Number of times the event type was emitted'},
+  {group: 'types', counter: 'matches', name: 'matched_emits_total',
+    help: 'Number of emits of the event type that reached a listener'},
+  {group: 'types', counter: 'invocations', name: 'invocations_total',
+    help: 'Number of listener invocations for the event type'},
+  {group: 'types', counter: 'errors', name: 'errors_total',
+    help: 'Number of errors thrown by listeners for the event type'},
+  {group: 'types', counter: 'duration', name: 'listener_seconds_total',
+    help: 'Cumulative duration of listeners for the event type'},
+  {group: 'patterns', counter: 'emits', name: 'pattern_tests_total',
+    help: 'Number of times the pattern was tested'},
+  {group: 'patterns', counter: 'matches', name: 'pattern_matches_total',
+    help: 'Number of times the pattern matched'},
+  {group: 'patterns', counter: 'invocations',
+    name: 'pattern_invocations_total',
+    help: 'Number of invocations of the pattern\'s listeners'},
+  {group: 'patterns', counter: 'errors', name: 'pattern_errors_total',
+    help: 'Number of errors thrown by the pattern\'s listeners'},
+  {group: 'patterns', counter: 'duration',
+    name: 'pattern_listener_seconds_total',
+    help: 'Cumulative duration of the pattern\'s listeners'}
+];
+
+// Logs traces when NODE_DEBUG includes 'pattern-emitter'
 
-PatternEmitter.prototype._emit = PatternEmitter.prototype.emit;
+PatternEmitter._debug = util.debuglog('pattern-emitter');
 
-PatternEmitter.prototype._addListener = PatternEmitter.prototype.addListener;
+// The rank of listeners that were added without PatternEmitter, such as by
+// modifying _events directly
 
-PatternEmitter.prototype._removeListener = PatternEmitter.prototype.removeListener;
+PatternEmitter._defaultRank = {priority: 0, order: 0};
 
-PatternEmitter.prototype._removeAllListeners = PatternEmitter.prototype.removeAllListeners;
+// Characters signifying a glob pattern, those to escape when compiling, and
+// valid template parameter names
+
+PatternEmitter._globChars = /[*?]|\{.*\}/;
+
+PatternEmitter._specialChars = /[\\^$.*+?()[\]{}|\/]/g;
+
+PatternEmitter._paramName = /^[A-Za-z_$][\w$]*/;
+
+// The prefix of the keys of globs and templates, distinguishing them from
+// RegExps with the same string
+
+PatternEmitter._globPrefix = 'glob:';
+
+// Ids of the predicates of matchers, used in their keys
+
+PatternEmitter._predicateIds = new WeakMap();
+
+PatternEmitter._predicateCounter = 0;
+
+// The property through which Observables are interoperable, as with RxJS
+
+PatternEmitter._observable = Symbol.observable || '@@observable';
+
+// Event types emitted by the emitter itself, which broadcast doesn't emit to
+
+PatternEmitter._internalTypes = ['newListener', 'removeListener', 'error',
+  'listenerError'];
+
+// Emitters currently forwarding an event, from the first to the most recent
+
+PatternEmitter._forwarding = [];
 
 /**
  * Emits an event to all listeners for the specified type. In addition, if type
- * is a string, emits the event to all listeners whose patterns match. Returns
- * true if any listeners existed, false otherwise.
+ * is a string, emits the event to all listeners whose patterns match. Pattern
+ * listeners receive a context object as an additional, final argument, which
+ * holds the event type, the matched pattern, the result of matching the type
+ * and any named parameters. Listeners added or removed while emitting don't
+ * affect the current emit. If the isolateErrors option is set, errors thrown
+ * by listeners don't prevent the remaining listeners from being invoked, as
+ * described by PatternEmitter.prototype._emitIsolated. Any middleware added
+ * for the type is run first. Returns true if any listeners existed, false
+ * otherwise, including when middleware cancelled the event.
  *
  * @param {*}    type   The type of event to emit
  * @param {...*} [args] Arguments to apply when invoking the listeners
  *
- * @returns {PatternEmitter} This instance
- * @throws  {Error}          If an error occurs and no error listener exists
+ * @returns {boolean} Whether or not any listeners existed
+ * @throws  {Error}   If an error occurs and no error listener exists
  */
 PatternEmitter.prototype.emit = function(type) {
-  var listeners, result, error;
+  var args = (arguments.length > 1) ?
+    Array.prototype.slice.call(arguments, 1) : [];
+  var listeners, i;
 
-  // Optimize for the case where no pattern listeners exit
-  if (!this._regexesCount) {
-    return this._emit.apply(this, arguments);
+  if (this._middleware.length) {
+    return this._applyMiddleware(type, args);
+  } else if (!this._isPlain() || type === 'error') {
+    return this._dispatch(type, args);
   }
 
+  // Optimize for the case where only listeners for event types exist, and no
+  // features requiring further bookkeeping are enabled
   this.event = type;
-
   listeners = this._events[type];
-  this._events[type] = this._getMatching(type);
 
-  try {
-    result = this._emit.apply(this, arguments);
-  } catch (err) {
-    error = err;
+  if (!listeners) {
+    return false;
+  } else if (typeof listeners === 'function') {
+    listeners.apply(this, args);
+    return true;
   }
 
-  this._events[type] = listeners;
+  listeners = listeners.slice();
+  for (i = 0; i < listeners.length; i++) {
+    listeners[i].apply(this, args);
+  }
 
-  if (error) throw error;
+  return true;
+};
 
-  return result;
+/**
+ * Returns whether or not events may be dispatched by invoking the listeners
+ * of their type alone: no pattern listeners, retained history, tracing,
+ * statistics, isolated errors or namespaces.
+ *
+ * @returns {boolean} Whether or not emits may skip further bookkeeping
+ */
+PatternEmitter.prototype._isPlain = function() {
+  return !this._regexesCount && !this._history && !this._tracer &&
+    !this._stats && !this._options.isolateErrors && !this._namespaces.size;
 };
 
 /**
- * Given a RegExp event type, stores the regular expression and registers the
- * listener to any events matching the pattern. Otherwise, it behaves exactly
- * as EventEmitter. As with EventEmitter.prototype.addListener, it emits a
- * 'newListener' event on success. Returns an instance of itself.
+ * Adds middleware for the event type or pattern, which is run by emit and
+ * emitAsync before the event's listeners are resolved. Middleware is invoked
+ * with an object holding the event's type and array of arguments, and a next
+ * function that continues with the following middleware, and ultimately the
+ * listeners. It may modify the type and arguments before calling next, cancel
+ * the event by not calling it, or run code once the listeners were invoked,
+ * after next returns. Middleware is run in the order in which it was added, and
+ * is selected using the type the event was emitted with. Returns an instance of
+ * itself.
  *
- * @param {*}        type     The event type to match, including a RegExp to
- *                            match using a pattern
- * @param {function} listener The listener to invoke
+ * @param {*}        type       The event type, including a pattern
+ * @param {function} middleware The middleware to run
  *
  * @returns {PatternEmitter} This instance
- * @throws  {TypeError}      If listener is not a function
+ * @throws  {TypeError}      If middleware is not a function
  */
-PatternEmitter.prototype.addListener = function(type, listener) {
-  if (!(type instanceof RegExp)) {
-    return this._addListener(type, listener);
+PatternEmitter.prototype.use = function(type, middleware) {
+  if (typeof middleware !== 'function') {
+    throw TypeError('middleware must be a function');
   }
 
-  var pattern = String(type);
-  this.event = 'newListener';
-  this._regexesCount++;
+  this._middleware.push({
+    type: type,
+    regex: PatternEmitter._isPattern(this, type) ? this._compile(type) : null,
+    middleware: middleware
+  });
 
-  PatternEmitter._apply(this, this._addListener, pattern, [pattern, listener]);
+  return this;
+};
 
-  if (!this._regexes[pattern]) {
-    this._regexes[pattern] = type;
+/**
+ * Sets the max number of distinct patterns the emitter may have before a
+ * warning is emitted, helping to find leaks in which patterns are created
+ * dynamically. A value of 0 or Infinity disables the warning. Returns an
+ * instance of itself.
+ *
+ * @param {number} n The max number of patterns
+ *
+ * @returns {PatternEmitter} This instance
+ * @throws  {RangeError}     If n is not a non-negative number
+ */
+PatternEmitter.prototype.setMaxPatterns = function(n) {
+  if (typeof n !== 'number' || n < 0 || n !== n) {
+    throw RangeError('n must be a non-negative number');
   }
 
+  this._maxPatterns = n;
+
   return this;
 };
 
 /**
- * An alias for addListener.
+ * Returns the max number of distinct patterns the emitter may have before a
+ * warning is emitted, being PatternEmitter.defaultMaxPatterns unless set.
  *
- * @see addListener
+ * @returns {number} The max number of patterns
  */
-PatternEmitter.prototype.on = PatternEmitter.prototype.addListener;
+PatternEmitter.prototype.getMaxPatterns = function() {
+  return (this._maxPatterns === undefined) ?
+    PatternEmitter.defaultMaxPatterns : this._maxPatterns;
+};
 
 /**
- * Removes the listener from the specified event type. If given an instance of
- * RegExp, it matches any RegExp object with the same expression. Emits a
- * 'removeListener' event on success. Returns an instance of itself.
+ * Sets a function with which to trace each emit, or disables tracing if given
+ * null. Once the listeners for an event were invoked, the tracer is invoked
+ * with an object holding the event type and arguments, each pattern that was
+ * tested and whether it matched, each listener that was invoked along with
+ * its pattern, duration and any error it threw, the total duration, and any
+ * error thrown by emit. Durations are in milliseconds, and only include the
+ * synchronous part of async listeners. Patterns ruled out by the index aren't
+ * tested. Tracing has no overhead while disabled. Returns an instance of
+ * itself.
  *
- * @param {*}        type     The event type, including a RegExp, to remove
- * @param {function} listener The listener to remove
+ * @param {function|null} tracer The function to invoke with each trace
  *
  * @returns {PatternEmitter} This instance
- * @throws  {TypeError}      If listener is not a function
+ * @throws  {TypeError}      If tracer is neither a function nor null
  */
-PatternEmitter.prototype.removeListener = function(type, listener) {
-  if (!(type instanceof RegExp)) {
-    return this._removeListener(type, listener);
+PatternEmitter.prototype.setTracer = function(tracer) {
+  if (tracer !== null && typeof tracer !== 'function') {
+    throw TypeError('tracer must be a function or null');
   }
 
-  var pattern = String(type);
-  this.event = 'removeListener';
-  this._regexesCount--;
+  this._tracer = tracer;
+
+  return this;
+};
+
+/**
+ * Returns a snapshot of the statistics gathered since the emitter was created
+ * with the stats option, or since they were last reset. The snapshot holds
+ * an object of counters for each event type, and one for each pattern, keyed
+ * by their string. For an event type, emits is the number of times it was
+ * emitted, and matches the number of those that reached a listener. For a
+ * pattern, emits is the number of times it was tested, and matches the
+ * number of times it matched. Both also count the invocations of their
+ * listeners, the errors thrown by them, and their cumulative duration in
+ * milliseconds.
+ *
+ * @returns {object} The statistics for event types and patterns
+ */
+PatternEmitter.prototype.stats = function() {
+  var snapshot = {types: {}, patterns: {}};
 
-  PatternEmitter._apply(this, this.removeListener, pattern,
-    [pattern, listener]);
+  if (!this._stats) return snapshot;
 
-  if (!this._patternEvents[pattern] || !this._patternEvents[pattern].length) {
-    delete this._patternEvents[pattern];
-  }
+  ['types', 'patterns'].forEach(function(group) {
+    this._stats[group].forEach(function(counters, key) {
+      snapshot[group][key] = Object.assign({}, counters);
+    });
+  }, this);
+
+  return snapshot;
+};
 
-  if (!this._patternEvents[pattern] && this._regexes[pattern]) {
-    delete this._regexes[pattern];
+/**
+ * Resets all gathered statistics. Returns an instance of itself.
+ *
+ * @returns {PatternEmitter} This instance
+ */
+PatternEmitter.prototype.resetStats = function() {
+  if (this._stats) {
+    this._stats.types.clear();
+    this._stats.patterns.clear();
   }
 
   return this;
 };
 
 /**
- * Removes all listeners for the specified event type. If given an instance of
- * RegExp, it matches the RegExp object with the same expression. Emits a
- * 'removeListener' event for each removed listener. Returns an instance of
- * itself.
+ * Returns the gathered statistics in the Prometheus text exposition format.
+ * Each counter is exported as a metric whose name starts with the prefix,
+ * labelled with its event type or pattern. Durations are exported in
+ * seconds.
  *
- * @param {*} type The event type, including a RegExp, to remove
+ * @param {string} [prefix] The prefix of metric names, defaulting to
+ *                          'pattern_emitter'
  *
- * @returns {PatternEmitter} This instance
+ * @returns {string} The statistics in Prometheus text format
  */
-PatternEmitter.prototype.removeAllListeners = function(type) {
-  if (!(type instanceof RegExp)) {
-    return this._removeAllListeners(type);
-  }
+PatternEmitter.prototype.prometheusStats = function(prefix) {
+  var snapshot = this.stats();
+  var lines = [];
 
-  var pattern = String(type);
-  this.event = 'removeListener';
+  prefix = prefix || 'pattern_emitter';
 
-  PatternEmitter._apply(this, this.removeAllListeners, pattern, [pattern]);
+  PatternEmitter._metrics.forEach(function(metric) {
+    var group = snapshot[metric.group];
+    var label = (metric.group === 'types') ? 'type' : 'pattern';
+    var name = prefix + '_' + metric.name;
 
-  delete this._patternEvents[pattern];
+    lines.push('# HELP ' + name + ' ' + metric.help);
+    lines.push('# TYPE ' + name + ' counter');
 
-  if (this._regexes[pattern]) {
-    delete this._regexes[pattern];
-  }
+    Object.keys(group).forEach(function(key) {
+      var value = group[key][metric.counter];
+      if (metric.counter === 'duration') value /= 1000;
 
-  return this;
+      lines.push(name + '{' + label + '="' + PatternEmitter._escapeLabel(key) +
+        '"} ' + value);
+    });
+  });
+
+  return lines.join('\n') + '\n';
 };
 
 /**
- * Returns an array of pattern listeners for the specified RegExp.
+ * Invokes the listeners for the event as described by emit, without running
+ * any middleware.
  *
- * @param {RegExp} pattern A RegExp
+ * @param {*}   type The type of event to emit
+ * @param {*[]} args Arguments to apply when invoking the listeners
  *
- * @returns {function[]} An array of listeners
- * @throws  {TypeError}  If pattern is not a RegExp
+ * @returns {boolean} Whether or not any listeners existed
+ * @throws  {Error}   If an error occurs and no error listener exists
  */
-PatternEmitter.prototype.patternListeners = function(pattern) {
-  if (!(pattern instanceof RegExp)) {
-    throw TypeError('pattern must be an instance of RegExp');
+PatternEmitter.prototype._dispatch = function(type, args) {
+  var result;
+
+  this.event = type;
+
+  if (this._history && type !== 'newListener' && type !== 'removeListener') {
+    this._record(type, args);
+  }
+
+  if (this._tracer || this._stats) {
+    result = this._dispatchTraced(type, args);
+  } else {
+    result = this._invoke(type, args);
   }
 
-  return PatternEmitter._apply(this, this.listeners, pattern, [pattern]);
+  if (this._namespaces.size && typeof type === 'string') {
+    result = this._deliver(type, args) || result;
+  }
+
+  return result;
 };
 
 /**
- * Returns an array of listeners for the supplied event type, and whose
- * patterns match the event if given a string.
+ * Delivers the event to the child emitter of each namespace the type is
+ * within, which emits it with the namespace's prefix removed. Records
+ * whether each child had listeners for an event it emitted itself. An 'error'
+ * event isn't delivered to a child without listeners for it, which would
+ * otherwise throw, as having namespaces mustn't change whether emits throw.
  *
- * @param {*} type The type of event
+ * @param {string} type The type of event to deliver
+ * @param {*[]}    args The event's arguments
  *
- * @returns {function[]} An array of listeners
+ * @returns {boolean} Whether or not any child had listeners
  */
-PatternEmitter.prototype.matchingListeners = function(type) {
-  var matching = this._getMatching(type);
+PatternEmitter.prototype._deliver = function(type, args) {
+  var result = false;
+
+  this._namespaces.forEach(function(namespace) {
+    var child = namespace.child;
+    var delivery = child._delivery;
+    var name = PatternEmitter._deliverable(namespace, type);
+    var delivered;
+
+    if (name === null) return;
+
+    child._delivery = null;
+    delivered = PatternEmitter.prototype.emit.apply(child,
+      [name].concat(args));
+
+    if (delivery) delivery.result = delivered;
+    result = result || delivered;
+  });
+
+  return result;
+};
+
+/**
+ * Dispatches the event as with _invoke, and then passes the tracer a trace of
+ * the patterns that were tested, the listeners that were invoked, and how long
+ * each took. If statistics are enabled, the trace is added to them.
+ *
+ * @param {*}   type   The type of event to emit
+ * @param {*[]} args   Arguments to apply when invoking the listeners
+ * @param {Set} [seen] Identifies listeners to skip, as with _invoke
+ *
+ * @returns {boolean} Whether or not any listeners existed
+ * @throws  {Error}   If an error occurs and no error listener exists
+ */
+PatternEmitter.prototype._dispatchTraced = function(type, args, seen) {
+  var trace = PatternEmitter._createTrace(type, args);
+  var start = PatternEmitter._now();
+  var result, error;
 
-  if (!matching) {
-    matching = [];
-  } else if (!(matching instanceof Array)) {
-    matching = [matching];
+  try {
+    result = this._invoke(type, args, trace, seen);
+  } catch (err) {
+    error = err;
+    trace.error = err;
   }
 
-  return matching;
+  this._endTrace(trace, start);
+
+  if (error) throw error;
+
+  return result;
 };
 
 /**
- * Returns the number of listeners for a given event. An alias for
- * EventEmitter.listenerCount.
+ * Returns an empty trace of an emit.
  *
- * @see EventEmitter.listenerCount
+ * @param {*}   type The type of event being emitted
+ * @param {*[]} args The event's arguments
  *
- * @param {PatternEmitter} emitter The emitter for which to count listeners
- * @param {*}              type    The event type
+ * @returns {object} The trace
+ */
+PatternEmitter._createTrace = function(type, args) {
+  return {
+    event: type,
+    args: args.slice(),
+    patterns: [],
+    listeners: [],
+    duration: 0
+  };
+};
+
+/**
+ * Sets the duration of the trace, and adds it to the statistics and passes it
+ * to the tracer, as enabled.
  *
- * @returns {int} The number of listeners
+ * @param {object} trace The trace of an emit
+ * @param {number} start The timestamp at which the emit started
  */
-PatternEmitter.listenerCount = function(emitter, type) {
-  return EventEmitter.listenerCount(emitter, type);
+PatternEmitter.prototype._endTrace = function(trace, start) {
+  trace.duration = PatternEmitter._now() - start;
+
+  if (this._stats) this._recordStats(trace);
+  if (this._tracer) this._tracer.call(this, trace);
 };
 
 /**
- * Returns the number of listeners registered to the emitter for the specified
- * pattern.
+ * Invokes the listeners for the event, recording each in the trace, if given.
+ * If given a set of seen listeners, as when broadcasting, those in the set are
+ * skipped, and the others are added to it, as described by _unseen.
  *
- * @param {PatternEmitter} emitter The emitter for which to count listeners
- * @param {RegExp}         pattern A RegExp
+ * @param {*}      type    The type of event to emit
+ * @param {*[]}    args    Arguments to apply when invoking the listeners
+ * @param {object} [trace] The trace of the emit
+ * @param {Set}    [seen]  Identifies listeners that were already invoked
  *
- * @returns {int}       The number of listeners
- * @throws  {TypeError} If pattern is not a string
+ * @returns {boolean} Whether or not any listeners existed
+ * @throws  {Error}   If an error occurs and no error listener exists
  */
-PatternEmitter.patternListenerCount = function(emitter, pattern) {
-  if (!(pattern instanceof RegExp)) {
-    throw TypeError('pattern must be an instance of RegExp');
+PatternEmitter.prototype._invoke = function(type, args, trace, seen) {
+  var listeners, i;
+
+  if (this._options.isolateErrors && type !== 'error' &&
+      type !== 'listenerError') {
+    return this._emitIsolated(type, args, trace, seen);
+  }
+
+  // Optimize for the case where no pattern listeners exist
+  if (!this._regexesCount && !trace && !seen) {
+    listeners = [].concat(this._events[type] || []);
+  } else {
+    listeners = this._getMatching(type, true, trace, args, seen) || [];
+  }
+
+  // Notify errorMonitor listeners without running middleware or recording
+  if (type === 'error' && EventEmitter.errorMonitor) {
+    this.event = EventEmitter.errorMonitor;
+    this._invoke(EventEmitter.errorMonitor, args);
+    this.event = type;
   }
 
-  return PatternEmitter._apply(emitter, EventEmitter.listenerCount, pattern,
-    [emitter, pattern]);
+  // Error listeners skipped when broadcasting were already invoked
+  if (type === 'error' && !listeners.length && !seen) {
+    throw PatternEmitter._unhandledError(args[0]);
+  }
+
+  for (i = 0; i < listeners.length; i++) {
+    listeners[i].apply(this, args);
+  }
+
+  return listeners.length > 0;
 };
 
 /**
- * Returns the number of listeners and pattern listeners registered to the
- * emitter for the event type or a matching pattern.
+ * Invokes all listeners matching the event, as with emit, and returns a
+ * Promise resolving once the values returned by the listeners have settled.
+ * With the default 'parallel' strategy, all listeners are invoked at once,
+ * and the Promise resolves with an array of their values. The 'serial'
+ * strategy waits for each listener's value before invoking the next, while
+ * 'allSettled' resolves with an array of objects describing each outcome,
+ * as with Promise.allSettled.
  *
- * @param {PatternEmitter} emitter The emitter for which to count listeners
- * @param {*}              type    The event type
+ * Unless using 'allSettled', the Promise rejects on the first listener that
+ * throws or rejects, and with 'serial', no further listeners are invoked. If
+ * the asyncErrors option is 'emit', failures are instead emitted as 'error'
+ * events, and the value of a failed listener is undefined.
  *
- * @returns {int} The number of listeners
+ * As with emit, middleware is run first, the event is retained, traced and
+ * added to statistics, and delivered to namespaces, whose values follow those
+ * of this emitter's listeners. The trace spans until the values settle. If
+ * middleware cancelled the event, the Promise resolves with an empty array.
+ *
+ * @param {*}    type   The type of event to emit
+ * @param {...*} [args] Arguments to apply when invoking the listeners
+ *
+ * @returns {Promise} A Promise for the values of the listeners
  */
-PatternEmitter.matchingListenerCount = function(emitter, type) {
-  return emitter.matchingListeners(type).length;
+PatternEmitter.prototype.emitAsync = function(type) {
+  var args = Array.prototype.slice.call(arguments, 1);
+  var result;
+
+  try {
+    if (this._middleware.length) {
+      result = this._applyMiddleware(type, args, this._dispatchAsync);
+    } else {
+      result = this._dispatchAsync(type, args);
+    }
+  } catch (err) {
+    return Promise.reject(err);
+  }
+
+  // Middleware cancelled the event, or has yet to dispatch it
+  return (result === false) ? Promise.resolve([]) : result;
 };
 
 /**
- * Returns all listeners for the given type, and if type is a string, matching
- * pattern listeners.
+ * Invokes the listeners for the event as described by emitAsync, without
+ * running any middleware.
  *
- * @param {*} type The event type
+ * @param {*}   type The type of event to emit
+ * @param {*[]} args Arguments to apply when invoking the listeners
  *
- * @returns {function|function[]} All relevant listeners
+ * @returns {Promise} A Promise for the values of the listeners
  */
-PatternEmitter.prototype._getMatching = function(type) {
-  var matching, listeners;
+PatternEmitter.prototype._dispatchAsync = function(type, args) {
+  var self = this;
+  var start = PatternEmitter._now();
+  var trace = null;
+  var listeners, promise;
 
-  // Get any regular listeners
-  matching = this._events[type];
+  this.event = type;
 
-  if (typeof type !== 'string') {
-    return matching;
+  if (this._history && type !== 'newListener' && type !== 'removeListener') {
+    this._record(type, args);
   }
 
-  // Retrieve all pattern listeners
-  for (var pattern in this._regexes) {
-    var regex = this._regexes[pattern];
-    if (!regex || !(regex instanceof RegExp)) {
-      continue;
+  if (this._tracer || this._stats) {
+    trace = PatternEmitter._createTrace(type, args);
+  }
+
+  listeners = this._getMatching(type, true, trace, args) || [];
+
+  if (type === 'error' && !listeners.length) {
+    promise = Promise.reject(PatternEmitter._unhandledError(args[0]));
+  } else {
+    promise = this._settle(listeners, args);
+
+    if (this._namespaces.size && typeof type === 'string') {
+      promise = this._deliverAsync(type, args, promise);
     }
+  }
 
-    if (!regex.test(type)) continue;
+  if (!trace) return promise;
 
-    if (!matching) {
-      matching = this._patternEvents[pattern];
-    } else {
-      listeners = this._patternEvents[pattern];
-      if (!(listeners instanceof Array)) {
-        listeners = [listeners];
-      }
+  return promise.then(function(values) {
+    self._endTrace(trace, start);
+    return values;
+  }, function(err) {
+    trace.error = err;
+    self._endTrace(trace, start);
+    throw err;
+  });
+};
 
-      if (!(matching instanceof Array)) {
-        matching = [matching];
-      }
-      matching = matching.concat(listeners);
+/**
+ * Invokes the listeners using the emitter's asyncStrategy, returning a Promise
+ * for their values as described by emitAsync.
+ *
+ * @param {function[]} listeners The listeners to invoke
+ * @param {*[]}        args      Arguments to apply when invoking them
+ *
+ * @returns {Promise} A Promise for the values of the listeners
+ */
+PatternEmitter.prototype._settle = function(listeners, args) {
+  var strategy = this._options.asyncStrategy || 'parallel';
+  var self = this;
+  var invoke;
+
+  invoke = function(listener) {
+    var promise = new Promise(function(resolve) {
+      resolve(listener.apply(self, args));
+    });
+
+    if (strategy === 'allSettled') {
+      return promise.then(function(value) {
+        return {status: 'fulfilled', value: value};
+      }, function(reason) {
+        return {status: 'rejected', reason: reason};
+      });
+    } else if (self._options.asyncErrors === 'emit') {
+      return promise.catch(function(err) {
+        self.emit('error', err);
+      });
     }
+
+    return promise;
+  };
+
+  if (strategy !== 'serial') {
+    return Promise.all(listeners.map(invoke));
   }
 
-  return matching;
+  return listeners.reduce(function(promise, listener) {
+    return promise.then(function(values) {
+      return invoke(listener).then(function(value) {
+        values.push(value);
+        return values;
+      });
+    });
+  }, Promise.resolve([]));
 };
 
 /**
- * A helper function to invoke an EventEmitter action in the context of
- * pattern listeners. This allows us to re-use EventEmitter's logic and API.
+ * Returns the type with which the namespace's child emits the event, being
+ * the type with the namespace's prefix removed, or null if the event isn't
+ * delivered to it, as described by _deliver.
  *
- * @param {PatternEmitter} emitter The emitter on which to invoke the function
- * @param {function}       fn      The function to invoke
- * @param {pattern}        pattern The string pattern to which this applies
- * @param {*[]}            args    An array of arguments to apply to fn
+ * @param {object} namespace The namespace's prefix and child
+ * @param {string} type      The type of event to deliver
  *
- * @returns {*} The function's return value
+ * @returns {string|null} The child's event type, or null
  */
-PatternEmitter._apply = function(emitter, fn, pattern, args) {
-  // Swap patternEvents and events before running, allowing us to piggyback
-  // off EventEmitter
-  var typeListeners, error, result;
+PatternEmitter._deliverable = function(namespace, type) {
+  var prefix = namespace.prefix;
+  var name;
 
-  typeListeners = emitter._events[pattern];
-  emitter._events[pattern] = emitter._patternEvents[pattern];
+  if (type.slice(0, prefix.length) !== prefix) return null;
 
-  try {
-    result = fn.apply(emitter, args);
-  } catch (err) {
-    error = err;
+  name = type.slice(prefix.length);
+  if (name === 'error' && !namespace.child._resolve(name).length) return null;
+
+  return name;
+};
+
+/**
+ * Delivers the event to the child emitter of each namespace the type is
+ * within, as with _deliver, using their emitAsync. The values of the children
+ * are appended to those the promise resolves with. With the 'serial'
+ * strategy, the children are only delivered the event once the promise
+ * resolved.
+ *
+ * @param {string}  type    The type of event to deliver
+ * @param {*[]}     args    The event's arguments
+ * @param {Promise} promise A Promise for the values of this emitter
+ *
+ * @returns {Promise} A Promise for the values of this emitter and children
+ */
+PatternEmitter.prototype._deliverAsync = function(type, args, promise) {
+  var deliveries = [];
+  var deliver, concat;
+
+  this._namespaces.forEach(function(namespace) {
+    var name = PatternEmitter._deliverable(namespace, type);
+
+    if (name === null) return;
+
+    deliveries.push({
+      child: namespace.child,
+      args: [name].concat(args)
+    });
+  });
+
+  if (!deliveries.length) return promise;
+
+  deliver = function() {
+    return Promise.all(deliveries.map(function(delivery) {
+      return delivery.child.emitAsync.apply(delivery.child, delivery.args);
+    }));
+  };
+
+  concat = function(values, delivered) {
+    return values.concat.apply(values, delivered);
+  };
+
+  if (this._options.asyncStrategy === 'serial') {
+    return promise.then(function(values) {
+      return deliver().then(function(delivered) {
+        return concat(values, delivered);
+      });
+    });
   }
 
-  emitter._patternEvents[pattern] = emitter._events[pattern];
-  emitter._events[pattern] = typeListeners;
+  return Promise.all([promise, deliver()]).then(function(results) {
+    return concat(results[0], results[1]);
+  });
+};
 
-  if (error) throw error;
+/**
+ * Emits an event to every event type with listeners whose name matches the
+ * pattern, the inverse of listening to a pattern. Each type's listeners are
+ * invoked along with those of patterns matching the type, as with emit,
+ * though a listener matching several of the types is only invoked once,
+ * with the first. As with emit, errors are isolated if the isolateErrors
+ * option is set, and each type's emit is traced and added to statistics.
+ * The emitter's event property and the context of pattern listeners report
+ * the type being emitted to. Middleware isn't run, events aren't retained,
+ * and namespaces don't receive them. The emitter's own events, being
+ * newListener, removeListener, error and listenerError, are never emitted to.
+ * Returns true if any listeners were invoked.
+ *
+ * @param {RegExp|string} pattern A RegExp or glob matching the event types
+ * @param {...*}          [args]  Arguments to apply when invoking listeners
+ *
+ * @returns {boolean}   Whether or not any listeners were invoked
+ * @throws  {TypeError} If pattern is not a RegExp or glob
+ */
+PatternEmitter.prototype.broadcast = function(pattern) {
+  var args = Array.prototype.slice.call(arguments, 1);
+  var seen = new Set();
+  var self = this;
+  var matches;
 
-  return result;
+  if (!PatternEmitter._isPattern(this, pattern)) {
+    throw TypeError('pattern must be an instance of RegExp or a glob');
+  }
+
+  matches = this._createMatcher(pattern);
+
+  Reflect.ownKeys(this._events).filter(function(type) {
+    return PatternEmitter._internalTypes.indexOf(type) === -1 && matches(type);
+  }).forEach(function(type) {
+    self.event = type;
+
+    if (self._tracer || self._stats) {
+      self._dispatchTraced(type, args, seen);
+    } else {
+      self._invoke(type, args, null, seen);
+    }
+  });
+
+  return seen.size > 0;
+};
+
+/**
+ * Given a RegExp event type, stores the regular expression and registers the
+ * listener to any events matching the pattern. If the glob option was set, a
+ * string containing glob syntax is compiled to a RegExp and treated the same
+ * way. Otherwise, it behaves exactly as EventEmitter. As with
+ * EventEmitter.prototype.addListener, it emits a 'newListener' event on
+ * success. Returns an instance of itself.
+ *
+ * Listeners matching an event are invoked in the order they were registered,
+ * regardless of whether they were registered to the type or a pattern. Those
+ * with a higher priority are invoked first. If given a signal, the listener is
+ * removed once it's aborted, and isn't added if already aborted. If replay is
+ * set and the emitter retains history, the listener is immediately invoked
+ * with each retained event it matches, from oldest to newest.
+ *
+ * The type may also be a matcher, filtering events by their arguments: either
+ * a predicate, or an object holding a predicate as its where property, and
+ * optionally an event type or pattern as its type property. The listener is
+ * only invoked for string types that match, and for which the predicate
+ * returns true when invoked as the listener would be. Matchers are treated
+ * as patterns, and those with the same type and predicate are the same.
+ *
+ * Given an array of event types and patterns, the listener is invoked at most
+ * once per event matching any of them, unless excluded by an entry of the
+ * form {not: type}. Such lists are treated as patterns, and those with the
+ * same entries are the same.
+ *
+ * The throttle, debounce and batch options limit how often the listener is
+ * invoked, as described by _delayWrap and _batchWrap. Once the listener is
+ * removed, pending batches are delivered, while pending throttled and
+ * debounced invocations are cancelled.
+ *
+ * @param {*}               type               The event type to match,
+ *                                             including a RegExp or glob to
+ *                                             match using a pattern, a
+ *                                             matcher, or a list
+ * @param {function}        listener           The listener to invoke
+ * @param {object}          [options]          Optional settings
+ * @param {number}          [options.priority] The listener's priority,
+ *                                             defaulting to 0
+ * @param {AbortSignal}     [options.signal]   A signal with which to remove
+ *                                             the listener
+ * @param {boolean}         [options.replay]   Whether to invoke the listener
+ *                                             with retained events
+ * @param {number}          [options.throttle] Milliseconds between
+ *                                             invocations
+ * @param {number}          [options.debounce] Milliseconds to wait for
+ *                                             events to stop
+ * @param {string|function} [options.key]      Groups throttled or debounced
+ *                                             events by 'type', or by the
+ *                                             value returned by a function
+ * @param {object}          [options.batch]    The size and interval with
+ *                                             which to deliver arrays of
+ *                                             events
+ *
+ * @returns {PatternEmitter} This instance
+ * @throws  {TypeError}      If listener is not a function
+ * @throws  {RangeError}     If a throttle, debounce or batch is invalid
+ */
+PatternEmitter.prototype.addListener = function(type, listener, options) {
+  return this._addListener(type, listener, options);
+};
+
+/**
+ * An alias for addListener.
+ *
+ * @see addListener
+ */
+PatternEmitter.prototype.on = PatternEmitter.prototype.addListener;
+
+/**
+ * Adds a one time listener for the event type or pattern. The listener is
+ * invoked only once after an event is fired, after which it is removed.
+ * Accepts the same options as addListener. Returns an instance of itself.
+ *
+ * @param {*}        type      The event type, including a pattern
+ * @param {function} listener  The listener to invoke
+ * @param {object}   [options] Optional settings, as with addListener
+ *
+ * @returns {PatternEmitter} This instance
+ * @throws  {TypeError}      If listener is not a function
+ */
+PatternEmitter.prototype.once = function(type, listener, options) {
+  return this.on(type, PatternEmitter._onceWrap(this, type, listener), options);
+};
+
+/**
+ * Adds the listener to the beginning of the listeners array for the specified
+ * event type or pattern, as with EventEmitter. It's invoked before all
+ * matching listeners registered so far with the same or a lower priority.
+ * Returns an instance of itself.
+ *
+ * @param {*}        type      The event type, including a pattern
+ * @param {function} listener  The listener to invoke
+ * @param {object}   [options] Optional settings, as with addListener
+ *
+ * @returns {PatternEmitter} This instance
+ * @throws  {TypeError}      If listener is not a function
+ */
+PatternEmitter.prototype.prependListener = function(type, listener, options) {
+  return this._addListener(type, listener, options, true);
+};
+
+/**
+ * Adds a one time listener to the beginning of the listeners array for the
+ * event type or pattern, as with prependListener. Returns an instance of
+ * itself.
+ *
+ * @param {*}        type      The event type, including a pattern
+ * @param {function} listener  The listener to invoke
+ * @param {object}   [options] Optional settings, as with addListener
+ *
+ * @returns {PatternEmitter} This instance
+ * @throws  {TypeError}      If listener is not a function
+ */
+PatternEmitter.prototype.prependOnceListener = function(type, listener,
+                                                         options) {
+  return this.prependListener(type,
+    PatternEmitter._onceWrap(this, type, listener), options);
+};
+
+/**
+ * Adds the listener to the event type or pattern, accepting the same options
+ * as addListener, as well as once. Returns a subscription whose unsubscribe
+ * method removes that particular listener, regardless of any others added for
+ * the same function. The subscription may also be disposed using
+ * Symbol.dispose, e.g. with a using declaration.
+ *
+ * @param {*}        type           The event type, including a pattern
+ * @param {function} listener       The listener to invoke
+ * @param {object}   [options]      Optional settings, as with addListener
+ * @param {boolean}  [options.once] Whether to only invoke the listener once
+ *
+ * @returns {object} The subscription
+ * @throws  {TypeError} If listener is not a function
+ */
+PatternEmitter.prototype.subscribe = function(type, listener, options) {
+  var self = this;
+  var subscribed = true;
+  var wrapper, subscription;
+
+  if (options && options.once) {
+    wrapper = PatternEmitter._onceWrap(this, type, listener);
+  } else {
+    PatternEmitter._checkListener(listener);
+    wrapper = function() {
+      return listener.apply(this, arguments);
+    };
+    wrapper.listener = listener;
+  }
+
+  this.on(type, wrapper, options);
+
+  subscription = {
+    unsubscribe: function() {
+      if (!subscribed) return;
+
+      subscribed = false;
+      self.removeListener(type, wrapper);
+    }
+  };
+
+  if (typeof Symbol.dispose === 'symbol') {
+    subscription[Symbol.dispose] = subscription.unsubscribe;
+  }
+
+  return subscription;
+};
+
+/**
+ * Removes the listener from the specified event type. If given an instance of
+ * RegExp, it matches any RegExp object with the same expression, and if given
+ * a glob, the same glob string. As with EventEmitter, the most recently added
+ * instance of the listener is removed, including one time listeners added for
+ * it. Emits a 'removeListener' event on success. Returns an instance of
+ * itself.
+ *
+ * @param {*}        type     The event type, including a pattern, to remove
+ * @param {function} listener The listener to remove
+ *
+ * @returns {PatternEmitter} This instance
+ * @throws  {TypeError}      If listener is not a function
+ */
+PatternEmitter.prototype.removeListener = function(type, listener) {
+  return this._removeListener(type, listener);
+};
+
+/**
+ * An alias for removeListener.
+ *
+ * @see removeListener
+ */
+PatternEmitter.prototype.off = PatternEmitter.prototype.removeListener;
+
+/**
+ * Removes all listeners for the specified event type. If given an instance of
+ * RegExp, it matches the RegExp object with the same expression, and if given
+ * a glob, the same glob string. Without a type, all listeners and pattern
+ * listeners are removed. Emits a 'removeListener' event for each removed
+ * listener, removing those for 'removeListener' itself last. Returns an
+ * instance of itself.
+ *
+ * @param {*} [type] The event type, including a pattern, to remove
+ *
+ * @returns {PatternEmitter} This instance
+ */
+PatternEmitter.prototype.removeAllListeners = function(type) {
+  var self = this;
+  var listeners, ranks, i;
+
+  if (arguments.length) {
+    listeners = this.rawListeners(type);
+    for (i = listeners.length - 1; i >= 0; i--) {
+      this._removeListener(type, listeners[i]);
+    }
+
+    return this;
+  }
+
+  if (!this._events.removeListener) {
+    ranks = PatternEmitter._flatten(this._ranks)
+      .concat(PatternEmitter._flatten(this._patternRanks));
+
+    this._events = Object.create(null);
+    this._patternEvents = {};
+    this._regexes = {};
+    this._ranks = Object.create(null);
+    this._patternRanks = Object.create(null);
+    this._regexesCount = 0;
+    this._index = new PatternIndex();
+    this._invalidate();
+    PatternEmitter._release(ranks);
+
+    return this;
+  }
+
+  this.eventNames().forEach(function(name) {
+    if (name !== 'removeListener') self.removeAllListeners(name);
+  });
+
+  return this.removeAllListeners('removeListener');
+};
+
+/**
+ * Returns an array of pattern listeners for the specified RegExp or glob.
+ *
+ * @param {RegExp|string} pattern A RegExp or glob
+ *
+ * @returns {function[]} An array of listeners
+ * @throws  {TypeError}  If pattern is not a RegExp or glob
+ */
+PatternEmitter.prototype.patternListeners = function(pattern) {
+  if (!PatternEmitter._isPattern(this, pattern)) {
+    throw TypeError('pattern must be an instance of RegExp or a glob');
+  }
+
+  return this.listeners(pattern);
+};
+
+/**
+ * Returns an array of listeners for the specified event type or pattern.
+ * Wrapped listeners, such as those added with once, are returned as the
+ * function that was originally added.
+ *
+ * @param {*} type The event type, including a pattern
+ *
+ * @returns {function[]} An array of listeners
+ */
+PatternEmitter.prototype.listeners = function(type) {
+  return this.rawListeners(type).map(PatternEmitter._unwrap);
+};
+
+/**
+ * Returns a copy of the array of listeners for the specified event type or
+ * pattern, including any wrappers, such as those created by once.
+ *
+ * @param {*} type The event type, including a pattern
+ *
+ * @returns {function[]} An array of listeners
+ */
+PatternEmitter.prototype.rawListeners = function(type) {
+  var entry = this._lookup(type);
+
+  return [].concat(entry.table[entry.key] || []);
+};
+
+/**
+ * Returns the number of listeners for the specified event type or pattern.
+ * If given a listener, only instances of that listener are counted.
+ *
+ * @param {*}        type       The event type, including a pattern
+ * @param {function} [listener] The listener to count
+ *
+ * @returns {int} The number of listeners
+ */
+PatternEmitter.prototype.listenerCount = function(type, listener) {
+  var listeners = this.rawListeners(type);
+
+  if (!listener) return listeners.length;
+
+  return listeners.filter(function(fn) {
+    return PatternEmitter._wraps(fn, listener);
+  }).length;
+};
+
+/**
+ * Returns an array of the event types and patterns for which listeners are
+ * registered, including Symbols. Types are followed by patterns, each in the
+ * order in which they were first added. RegExps are reported as registered,
+ * and globs and templates by their string.
+ *
+ * @returns {Array} The event types and patterns
+ */
+PatternEmitter.prototype.eventNames = function() {
+  return Reflect.ownKeys(this._events).concat(this.patterns());
+};
+
+/**
+ * Returns an array of the patterns for which listeners are registered, in the
+ * order in which they were first added. RegExps are returned as registered,
+ * and globs and templates by their string.
+ *
+ * @returns {Array} The patterns
+ */
+PatternEmitter.prototype.patterns = function() {
+  var self = this;
+
+  return Object.keys(this._patternEvents).map(function(key) {
+    return PatternEmitter._patternFor(key, self._regexes[key]);
+  });
+};
+
+/**
+ * Returns an array of listeners for the supplied event type, and whose
+ * patterns match the event if given a string. If given arguments, listeners
+ * of matchers are only included if their predicate returns true for them.
+ *
+ * @param {*}    type   The type of event
+ * @param {...*} [args] Arguments the event would be emitted with
+ *
+ * @returns {function[]} An array of listeners
+ */
+PatternEmitter.prototype.matchingListeners = function(type) {
+  var args = (arguments.length > 1) ?
+    Array.prototype.slice.call(arguments, 1) : null;
+
+  return this._getMatching(type, false, null, args) || [];
+};
+
+/**
+ * Returns a table of all subscriptions that can be serialized with
+ * JSON.stringify, as when logging or exposing it for debugging. It holds an
+ * array of events, and one of patterns, each in the order in which they were
+ * first added. Every entry holds the type or pattern as a string, the number
+ * of listeners, and their names, with "anonymous" for unnamed listeners.
+ *
+ * @returns {object} The events and patterns subscribed to
+ */
+PatternEmitter.prototype.subscriptions = function() {
+  var self = this;
+
+  return {
+    events: Reflect.ownKeys(this._events).map(function(type) {
+      var listeners = self.rawListeners(type);
+
+      return {
+        type: String(type),
+        count: listeners.length,
+        listeners: listeners.map(PatternEmitter._nameOf)
+      };
+    }),
+    patterns: Object.keys(this._patternEvents).map(function(key) {
+      var listeners = [].concat(self._patternEvents[key]);
+
+      return {
+        pattern: PatternEmitter._labelFor(key, self._regexes[key]),
+        count: listeners.length,
+        listeners: listeners.map(PatternEmitter._nameOf)
+      };
+    })
+  };
+};
+
+/**
+ * Explains which listeners an event of the given type would reach. Returns an
+ * object holding the type, its listeners in the order in which they'd be
+ * invoked, each described by its pattern, or null if registered to the type,
+ * and the listener as originally added, and each registered pattern along
+ * with whether it matches the type and its number of listeners.
+ *
+ * @param {*} type The event type
+ *
+ * @returns {object} The type, its listeners and the registered patterns
+ */
+PatternEmitter.prototype.whoListensTo = function(type) {
+  var entries = this._resolve(type);
+  var matched = {};
+  var self = this;
+
+  entries.forEach(function(entry) {
+    if (entry.pattern !== undefined) matched[entry.pattern] = true;
+  });
+
+  return {
+    type: type,
+    listeners: entries.map(PatternEmitter._describe),
+    patterns: Object.keys(this._patternEvents).map(function(key) {
+      return {
+        pattern: PatternEmitter._patternFor(key, self._regexes[key]),
+        matched: matched.hasOwnProperty(key),
+        count: [].concat(self._patternEvents[key]).length
+      };
+    })
+  };
+};
+
+/**
+ * Returns the retained events for the type, or those whose types match the
+ * pattern, as objects holding the type, an array of arguments and the time
+ * at which it was emitted. Events are ordered from oldest to newest, and all
+ * are returned if no type is given. Events are only retained if the emitter
+ * was created with the historySize or historyTTL option, and expire after
+ * historyTTL milliseconds, if set.
+ *
+ * @param {*} [type] The event type, including a pattern
+ *
+ * @returns {object[]} The retained events
+ */
+PatternEmitter.prototype.history = function(type) {
+  return this._retained.apply(this, arguments).map(function(record) {
+    return {type: record.type, args: record.args.slice(),
+      timestamp: record.timestamp};
+  });
+};
+
+/**
+ * Discards the retained events for the type, or those whose types match the
+ * pattern. All are discarded if no type is given. Returns an instance of
+ * itself.
+ *
+ * @param {*} [type] The event type, including a pattern
+ *
+ * @returns {PatternEmitter} This instance
+ */
+PatternEmitter.prototype.clearHistory = function(type) {
+  var history = this._history;
+  var matches;
+
+  if (!history) return this;
+
+  if (!arguments.length) {
+    history.clear();
+    return this;
+  }
+
+  matches = this._createMatcher(type);
+  history.forEach(function(records, recordedType) {
+    if (matches(recordedType)) history.delete(recordedType);
+  });
+
+  return this;
+};
+
+/**
+ * Returns a Promise that resolves with the next event matching the type or
+ * pattern, as an object holding its type and an array of its arguments. If a
+ * filter is given, events for which it returns false are ignored, and should
+ * it throw, the Promise rejects with the error. The Promise also rejects if
+ * the timeout elapses or the signal is aborted first. In all cases, the
+ * listener is removed once the Promise settles.
+ *
+ * @param {*}           type              The event type, including a pattern
+ * @param {object}      [options]         Optional settings
+ * @param {int}         [options.timeout] Milliseconds to wait before rejecting
+ * @param {function}    [options.filter]  Invoked with each event, which is
+ *                                        ignored unless it returns true
+ * @param {AbortSignal} [options.signal]  A signal with which to cancel waiting
+ *
+ * @returns {Promise} A Promise for the event's type and arguments
+ */
+PatternEmitter.prototype.waitFor = function(type, options) {
+  var self = this;
+
+  options = options || {};
+
+  return new Promise(function(resolve, reject) {
+    var signal = options.signal;
+    var timer, listener, onAbort, cleanup;
+
+    if (signal && signal.aborted) {
+      return reject(PatternEmitter._abortError(signal));
+    }
+
+    cleanup = function() {
+      self.removeListener(type, listener);
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    };
+
+    listener = self._createEventListener(type, function(event) {
+      try {
+        if (options.filter && !options.filter(event)) return;
+      } catch (err) {
+        cleanup();
+        return reject(err);
+      }
+
+      cleanup();
+      resolve(event);
+    });
+
+    onAbort = function() {
+      cleanup();
+      reject(PatternEmitter._abortError(signal));
+    };
+
+    self.on(type, listener);
+
+    if (options.timeout !== undefined) {
+      timer = setTimeout(function() {
+        cleanup();
+        reject(new Error('Timed out after ' + options.timeout +
+          'ms waiting for ' + String(type)));
+      }, options.timeout);
+    }
+
+    if (signal) signal.addEventListener('abort', onAbort);
+  });
+};
+
+/**
+ * Returns an async iterator over the events matching the type or pattern,
+ * each an object holding its type and an array of its arguments. Events are
+ * buffered until requested, with the oldest discarded once the buffer
+ * exceeds the high-water mark. The listener is removed once the iterator
+ * returns, or the signal is aborted, after which any pending request is
+ * rejected.
+ *
+ * @param {*}           type                    The event type, including a
+ *                                              pattern
+ * @param {object}      [options]               Optional settings
+ * @param {int}         [options.highWaterMark] The max number of buffered
+ *                                              events, defaulting to Infinity
+ * @param {AbortSignal} [options.signal]        A signal with which to stop
+ *                                              iterating
+ *
+ * @returns {object}     An async iterator of events
+ * @throws  {RangeError} If highWaterMark is not a non-negative number
+ */
+PatternEmitter.prototype.iterate = function(type, options) {
+  var self = this;
+  var buffer = [];
+  var pending = [];
+  var done = false;
+  var highWaterMark, signal, listener, onAbort, finish, iterator;
+
+  options = options || {};
+  highWaterMark = options.highWaterMark;
+  signal = options.signal;
+
+  if (highWaterMark === undefined) {
+    highWaterMark = Infinity;
+  } else if (typeof highWaterMark !== 'number' || !(highWaterMark >= 0)) {
+    throw RangeError('highWaterMark must be a non-negative number');
+  }
+
+  finish = function(err) {
+    if (done) return;
+
+    done = true;
+    buffer = [];
+    self.removeListener(type, listener);
+    if (signal) signal.removeEventListener('abort', onAbort);
+
+    pending.splice(0).forEach(function(request) {
+      if (err) {
+        request.reject(err);
+      } else {
+        request.resolve({value: undefined, done: true});
+      }
+    });
+  };
+
+  listener = this._createEventListener(type, function(event) {
+    if (pending.length) {
+      return pending.shift().resolve({value: event, done: false});
+    }
+
+    buffer.push(event);
+    if (buffer.length > highWaterMark) buffer.shift();
+  });
+
+  onAbort = function() {
+    finish(PatternEmitter._abortError(signal));
+  };
+
+  iterator = {
+    next: function() {
+      if (buffer.length) {
+        return Promise.resolve({value: buffer.shift(), done: false});
+      } else if (done) {
+        return Promise.resolve({value: undefined, done: true});
+      }
+
+      return new Promise(function(resolve, reject) {
+        pending.push({resolve: resolve, reject: reject});
+      });
+    },
+
+    return: function() {
+      finish();
+      return Promise.resolve({value: undefined, done: true});
+    },
+
+    throw: function(err) {
+      finish();
+      return Promise.reject(err);
+    }
+  };
+
+  iterator[Symbol.asyncIterator] = function() {
+    return this;
+  };
+
+  if (signal && signal.aborted) {
+    done = true;
+    iterator.next = function() {
+      return Promise.reject(PatternEmitter._abortError(signal));
+    };
+    return iterator;
+  }
+
+  this.on(type, listener);
+  if (signal) signal.addEventListener('abort', onAbort);
+
+  return iterator;
+};
+
+/**
+ * Returns an Observable of the events matching the type or pattern, as
+ * proposed for ECMAScript, with each event being an object holding its type
+ * and an array of its arguments. The Observable may be consumed by libraries
+ * such as RxJS, through Symbol.observable. Each subscription adds a listener,
+ * which is removed once it's unsubscribed.
+ *
+ * @param {*} type The event type, including a pattern
+ *
+ * @returns {object} An Observable of events
+ */
+PatternEmitter.prototype.observe = function(type) {
+  var self = this;
+  var observable;
+
+  observable = {
+    subscribe: function(observer) {
+      var listener, subscription;
+
+      if (typeof observer === 'function') {
+        observer = {next: observer};
+      } else if (!observer || typeof observer !== 'object') {
+        throw TypeError('observer must be an object or function');
+      }
+
+      listener = self._createEventListener(type, function(event) {
+        if (observer.next) observer.next(event);
+      });
+
+      subscription = {
+        closed: false,
+        unsubscribe: function() {
+          if (subscription.closed) return;
+
+          subscription.closed = true;
+          self.removeListener(type, listener);
+        }
+      };
+
+      if (observer.start) observer.start(subscription);
+      if (!subscription.closed) self.on(type, listener);
+
+      return subscription;
+    }
+  };
+
+  observable[PatternEmitter._observable] = function() {
+    return this;
+  };
+
+  return observable;
+};
+
+/**
+ * Returns a Readable stream of the events matching the type or pattern, each
+ * an object holding its type and an array of its arguments. Unless the
+ * objectMode option is false, in which case each is written as a line of
+ * JSON, events are pushed as objects. As an emitter can't be paused, events
+ * are queued while the stream's buffer is full, and pushed once it's read
+ * from. The listener is removed once the stream is destroyed.
+ *
+ * @param {*}       type                    The event type, including a
+ *                                          pattern
+ * @param {object}  [options]               Optional settings
+ * @param {boolean} [options.objectMode]    Whether to push objects rather
+ *                                          than lines of JSON, defaulting to
+ *                                          true
+ * @param {int}     [options.highWaterMark] The stream's high-water mark
+ *
+ * @returns {Readable} A stream of events
+ */
+PatternEmitter.prototype.createReadStream = function(type, options) {
+  var objectMode = !options || options.objectMode !== false;
+  var queue = [];
+  var full = false;
+  var self = this;
+  var readable, listener;
+
+  readable = new stream.Readable({
+    objectMode: objectMode,
+    highWaterMark: options && options.highWaterMark,
+
+    read: function() {
+      full = false;
+      while (queue.length && !full) {
+        full = !readable.push(queue.shift());
+      }
+    },
+
+    destroy: function(err, callback) {
+      queue = [];
+      self.removeListener(type, listener);
+      callback(err);
+    }
+  });
+
+  listener = this._createEventListener(type, function(event) {
+    var chunk;
+
+    try {
+      chunk = objectMode ? event : JSON.stringify(event) + '\n';
+    } catch (err) {
+      return readable.destroy(err);
+    }
+
+    if (full || queue.length) {
+      queue.push(chunk);
+    } else {
+      full = !readable.push(chunk);
+    }
+  });
+
+  this.on(type, listener);
+
+  return readable;
+};
+
+/**
+ * Returns a Writable stream that emits each event written to it, the inverse
+ * of createReadStream. Events are objects holding their type and an array of
+ * arguments, or unless the objectMode option is false, lines of JSON. Errors
+ * thrown while emitting are passed to the stream.
+ *
+ * @param {object}  [options]            Optional settings
+ * @param {boolean} [options.objectMode] Whether to accept objects rather
+ *                                       than lines of JSON, defaulting to
+ *                                       true
+ *
+ * @returns {Writable} A stream of events to emit
+ */
+PatternEmitter.prototype.createWriteStream = function(options) {
+  var objectMode = !options || options.objectMode !== false;
+  var decoder = new StringDecoder('utf8');
+  var buffered = '';
+  var self = this;
+  var emitLines;
+
+  emitLines = function(text) {
+    var lines = (buffered + text).split('\n');
+
+    buffered = lines.pop();
+    lines.forEach(function(line) {
+      if (line.trim()) self._emitRecord(JSON.parse(line));
+    });
+  };
+
+  return new stream.Writable({
+    objectMode: objectMode,
+
+    write: function(chunk, encoding, callback) {
+      try {
+        if (objectMode) {
+          self._emitRecord(chunk);
+        } else {
+          emitLines(decoder.write(chunk));
+        }
+      } catch (err) {
+        return callback(err);
+      }
+
+      callback();
+    },
+
+    final: function(callback) {
+      try {
+        if (!objectMode) emitLines(decoder.end() + '\n');
+      } catch (err) {
+        return callback(err);
+      }
+
+      callback();
+    }
+  });
+};
+
+/**
+ * Emits the event described by the record, an object holding its type and an
+ * optional array of arguments.
+ *
+ * @param {object} record The event's type and arguments
+ *
+ * @throws {TypeError} If the record doesn't hold a type or array of arguments
+ */
+PatternEmitter.prototype._emitRecord = function(record) {
+  if (!record || record.type === undefined) {
+    throw TypeError('record must hold an event type');
+  } else if (record.args !== undefined && !(record.args instanceof Array)) {
+    throw TypeError('record args must be an array');
+  }
+
+  this.emit.apply(this, [record.type].concat(record.args || []));
+};
+
+/**
+ * Forwards events matching the type or pattern to the target emitter, which
+ * emits them with the same type and arguments. The type may be changed by
+ * the rename option, either a string or a function invoked with the type and
+ * returning the one to use, and the arguments by the transform option, a
+ * function invoked with the array of arguments and the type, and returning
+ * the array to use. Other options are passed to addListener. An event isn't
+ * forwarded to an emitter through which it was already forwarded, such that
+ * emitters forwarding to each other don't loop. Returns an instance of
+ * itself.
+ *
+ * @param {*}               type                The event type, including a
+ *                                              pattern
+ * @param {EventEmitter}    target              The emitter to forward to
+ * @param {object}          [options]           Optional settings, including
+ *                                              those of addListener
+ * @param {string|function} [options.rename]    The type to forward events
+ *                                              as, or a function returning it
+ * @param {function}        [options.transform] A function returning the
+ *                                              arguments to forward
+ *
+ * @returns {PatternEmitter} This instance
+ * @throws  {TypeError}      If target is not an emitter
+ */
+PatternEmitter.prototype.forward = function(type, target, options) {
+  var forwarding = PatternEmitter._forwarding;
+  var self = this;
+  var listener;
+
+  if (!target || typeof target.emit !== 'function') {
+    throw TypeError('target must be an EventEmitter');
+  }
+
+  options = options || {};
+
+  listener = this._createEventListener(type, function(event) {
+    var rename = options.rename;
+    var name = event.type;
+    var args = event.args;
+
+    if (forwarding.indexOf(target) !== -1) return;
+
+    if (typeof rename === 'function') {
+      name = rename.call(self, event.type);
+    } else if (rename !== undefined) {
+      name = rename;
+    }
+
+    if (options.transform) {
+      args = options.transform.call(self, args, event.type);
+    }
+
+    forwarding.push(self);
+    try {
+      target.emit.apply(target, [name].concat(args));
+    } finally {
+      forwarding.pop();
+    }
+  });
+
+  listener.forwardsTo = target;
+
+  return this.addListener(type, listener, options);
+};
+
+/**
+ * Returns a child emitter scoped to the namespace, created with the same
+ * options. Events it emits with a string type are emitted by this emitter
+ * with the type prefixed by the namespace and a separator, being the
+ * delimiter if set, or a colon. In turn, once this emitter's listeners for an
+ * event within the namespace were invoked, the child emits it with the prefix
+ * removed, such that its listeners and patterns only match events of the
+ * namespace. As both keep their own listeners, removeAllListeners only
+ * removes those of the emitter it's invoked on. The child's emit returns
+ * whether it had listeners for the event, and this emitter's emit whether
+ * either had. The same child is returned for a namespace.
+ *
+ * @param {string} name The namespace
+ *
+ * @returns {PatternEmitter} The child emitter
+ * @throws  {TypeError}      If name is not a non-empty string
+ */
+PatternEmitter.prototype.namespace = function(name) {
+  var prefix, child;
+
+  if (typeof name !== 'string' || !name) {
+    throw TypeError('name must be a non-empty string');
+  }
+
+  if (this._namespaces.has(name)) {
+    return this._namespaces.get(name).child;
+  }
+
+  prefix = name + (this._options.delimiter || ':');
+  child = new PatternEmitter(this._options);
+  child.emit = PatternEmitter._scopedEmit(this, prefix);
+
+  this._namespaces.set(name, {prefix: prefix, child: child});
+
+  return child;
+};
+
+/**
+ * Stops forwarding events for the type or pattern to the target, or to all
+ * targets if none is given, undoing forward. Returns an instance of itself.
+ *
+ * @param {*}            type     The event type, including a pattern
+ * @param {EventEmitter} [target] The emitter to stop forwarding to
+ *
+ * @returns {PatternEmitter} This instance
+ */
+PatternEmitter.prototype.unforward = function(type, target) {
+  var self = this;
+
+  this.rawListeners(type).forEach(function(listener) {
+    var forwarder = listener;
+
+    // Forwarders may be wrapped, as when throttled
+    while (forwarder && !forwarder.forwardsTo) forwarder = forwarder.listener;
+
+    if (forwarder && (!target || forwarder.forwardsTo === target)) {
+      self.removeListener(type, listener);
+    }
+  });
+
+  return this;
+};
+
+/**
+ * Returns the number of listeners for a given event.
+ *
+ * @param {PatternEmitter} emitter The emitter for which to count listeners
+ * @param {*}              type    The event type
+ *
+ * @returns {int} The number of listeners
+ */
+PatternEmitter.listenerCount = function(emitter, type) {
+  return emitter.listenerCount(type);
+};
+
+/**
+ * Returns the number of listeners registered to the emitter for the specified
+ * pattern.
+ *
+ * @param {PatternEmitter} emitter The emitter for which to count listeners
+ * @param {RegExp|string}  pattern A RegExp or glob
+ *
+ * @returns {int}       The number of listeners
+ * @throws  {TypeError} If pattern is not a RegExp or glob
+ */
+PatternEmitter.patternListenerCount = function(emitter, pattern) {
+  if (!PatternEmitter._isPattern(emitter, pattern)) {
+    throw TypeError('pattern must be an instance of RegExp or a glob');
+  }
+
+  return emitter.listenerCount(pattern);
+};
+
+/**
+ * Returns the number of listeners and pattern listeners registered to the
+ * emitter for the event type or a matching pattern.
+ *
+ * @param {PatternEmitter} emitter The emitter for which to count listeners
+ * @param {*}              type    The event type
+ *
+ * @returns {int} The number of listeners
+ */
+PatternEmitter.matchingListenerCount = function(emitter, type) {
+  return emitter.matchingListeners(type).length;
+};
+
+/**
+ * Returns all listeners for the given type, and if type is a string, matching
+ * pattern listeners, in the order in which they're to be invoked. If bind is
+ * true, each pattern listener is wrapped such that it's invoked with a
+ * context object for the match. If given a trace, the tested patterns are
+ * added to it, and each listener is wrapped such that its invocation is
+ * recorded. If given arguments, listeners of matchers whose predicate doesn't
+ * hold are excluded, as are those that were seen, if given a set of them.
+ *
+ * @param {*}       type    The event type
+ * @param {boolean} [bind]  Whether to bind pattern listeners to their context
+ * @param {object}  [trace] The trace of the emit
+ * @param {*[]}     [args]  The event's arguments
+ * @param {Set}     [seen]  Identifies listeners that were already invoked
+ *
+ * @returns {function[]|undefined} All relevant listeners, if any
+ */
+PatternEmitter.prototype._getMatching = function(type, bind, trace, args,
+                                                 seen) {
+  var entries = this._resolve(type, trace && trace.patterns);
+
+  if (args) entries = this._admit(entries, type, args);
+  if (seen) entries = PatternEmitter._unseen(entries, seen);
+
+  if (!entries.length) return;
+
+  return entries.map(function(entry) {
+    var listener = bind ? PatternEmitter._bindEntry(entry, type) :
+      entry.listener;
+
+    return trace ? PatternEmitter._timed(listener, entry, trace) : listener;
+  });
+};
+
+/**
+ * Runs the middleware matching the event type, in the order it was added, after
+ * which the listeners for the possibly modified type and arguments are invoked.
+ * Middleware matches if it was added for the type, or for a pattern matching a
+ * string type, whose predicate, if any, is invoked with the arguments and the
+ * context of the match, as for listeners. Returns the result of dispatching the
+ * event, or false if it was cancelled, or has yet to be dispatched.
+ *
+ * @param {*}        type       The type of event to emit
+ * @param {*[]}      args       Arguments to apply when invoking the listeners
+ * @param {function} [dispatch] Invoked with the type and arguments to
+ *                              dispatch the event, defaulting to _dispatch
+ *
+ * @returns {boolean|*} The result of dispatch, or false
+ * @throws  {Error}     If next is called more than once by a middleware
+ */
+PatternEmitter.prototype._applyMiddleware = function(type, args, dispatch) {
+  var self = this;
+  var event = {type: type, args: args};
+  var result = false;
+  var chain, next;
+
+  chain = this._middleware.filter(function(entry) {
+    var match;
+
+    if (!entry.regex) return entry.type === type;
+    if (typeof type !== 'string') return false;
+
+    match = entry.regex.exec(type);
+    if (!match) return false;
+
+    return !entry.regex.where || !!entry.regex.where.apply(self,
+      args.concat(PatternEmitter._contextFor({
+        pattern: PatternEmitter._keyFor(entry.type),
+        regex: entry.regex,
+        match: match
+      }, type)));
+  });
+
+  next = function(i) {
+    var called = false;
+
+    return function() {
+      if (called) throw Error('next() called multiple times');
+      called = true;
+
+      if (i === chain.length) {
+        result = (dispatch || self._dispatch).call(self, event.type,
+          event.args);
+      } else {
+        chain[i].middleware.call(self, event, next(i + 1));
+      }
+
+      return result;
+    };
+  };
+
+  this.event = type;
+
+  return next(0)();
+};
+
+/**
+ * Invokes the listeners for the event as with emit, but catches any error
+ * thrown by a listener, or with which a Promise it returns rejects. Each is
+ * dispatched as a 'listenerError' event, with the error and an object
+ * holding the event type, the listener's pattern, if any, and the listener.
+ * If nothing listens for 'listenerError', the error is instead emitted as an
+ * 'error' event, which may be handled by pattern listeners. Should that
+ * throw, the first such error is rethrown once all listeners were invoked.
+ * An unhandled rejection is instead rethrown on the next tick, as with
+ * EventEmitter's captureRejections, rather than rejecting unobserved.
+ *
+ * @param {*}      type    The type of event to emit
+ * @param {*[]}    args    Arguments to apply when invoking the listeners
+ * @param {object} [trace] The trace of the emit
+ * @param {Set}    [seen]  Identifies listeners to skip, as with _invoke
+ *
+ * @returns {boolean} Whether or not any listeners existed
+ * @throws  {Error}   If a listener's error isn't handled
+ */
+PatternEmitter.prototype._emitIsolated = function(type, args, trace, seen) {
+  var entries = this._admit(this._resolve(type, trace && trace.patterns),
+    type, args);
+  var self = this;
+  var unhandled, dispatch;
+
+  if (seen) entries = PatternEmitter._unseen(entries, seen);
+
+  dispatch = function(err, details) {
+    if (self._resolve('listenerError').length) {
+      self.emit('listenerError', err, details);
+    } else {
+      self.emit('error', err);
+    }
+  };
+
+  entries.forEach(function(entry) {
+    var details = PatternEmitter._describe(entry);
+    var listener = PatternEmitter._bindEntry(entry, type);
+    var result;
+
+    details.event = type;
+    if (trace) listener = PatternEmitter._timed(listener, entry, trace);
+
+    try {
+      result = listener.apply(self, args);
+    } catch (err) {
+      try {
+        dispatch(err, details);
+      } catch (dispatchErr) {
+        if (!unhandled) unhandled = {error: dispatchErr};
+      }
+
+      self.event = type;
+      return;
+    }
+
+    if (result && typeof result.then === 'function') {
+      result.then(null, function(err) {
+        try {
+          dispatch(err, details);
+        } catch (dispatchErr) {
+          process.nextTick(function() {
+            throw dispatchErr;
+          });
+        }
+      });
+    }
+  });
+
+  if (unhandled) throw unhandled.error;
+
+  return entries.length > 0;
+};
+
+/**
+ * Returns the listener of the given entry, and for a pattern listener, wraps
+ * it such that it's invoked with a context for its match on the type.
+ *
+ * @param {object} entry An entry returned by PatternEmitter.prototype._resolve
+ * @param {*}      type  The emitted event type
+ *
+ * @returns {function} The listener to invoke
+ */
+PatternEmitter._bindEntry = function(entry, type) {
+  if (entry.pattern === undefined) return entry.listener;
+
+  return PatternEmitter._bind(entry.listener,
+    PatternEmitter._contextFor(entry, type));
+};
+
+/**
+ * Returns the context with which a pattern listener is invoked: the event
+ * type, the pattern, the match, and any named parameters it captured. As
+ * matches are cached along with the listeners, the context holds copies of
+ * the match and its groups, which listeners may modify without affecting
+ * later emits.
+ *
+ * @param {object} entry An entry returned by PatternEmitter.prototype._resolve
+ * @param {*}      type  The emitted event type
+ *
+ * @returns {object} The context
+ */
+PatternEmitter._contextFor = function(entry, type) {
+  var match = PatternEmitter._copyMatch(entry.match);
+
+  return {
+    event: type,
+    pattern: PatternEmitter._patternFor(entry.pattern, entry.regex),
+    match: match,
+    params: match.groups || {}
+  };
+};
+
+/**
+ * Returns a copy of the result of RegExp.prototype.exec, including its index,
+ * input and a copy of its named groups.
+ *
+ * @param {Array} match The match
+ *
+ * @returns {Array} The copy
+ */
+PatternEmitter._copyMatch = function(match) {
+  var copy = match.slice();
+
+  copy.index = match.index;
+  copy.input = match.input;
+  copy.groups = match.groups && Object.assign({}, match.groups);
+
+  return copy;
+};
+
+/**
+ * Returns the entries whose listeners are to be invoked with the arguments,
+ * excluding those of matchers whose predicate returns false. As with their
+ * listeners, predicates are invoked with the arguments followed by the
+ * context of the match.
+ *
+ * @param {object[]} entries Entries returned by _resolve
+ * @param {*}        type    The emitted event type
+ * @param {*[]}      args    The event's arguments
+ *
+ * @returns {object[]} The admitted entries
+ */
+PatternEmitter.prototype._admit = function(entries, type, args) {
+  var self = this;
+
+  return entries.filter(function(entry) {
+    var where = entry.regex && entry.regex.where;
+
+    return !where || !!where.apply(self,
+      args.concat(PatternEmitter._contextFor(entry, type)));
+  });
+};
+
+/**
+ * Returns the entries whose listeners aren't in the set of seen listeners,
+ * adding them to it. Listeners added without a rank are identified by their
+ * function, and others by their rank, such that each registration is only
+ * invoked once.
+ *
+ * @param {object[]} entries Entries returned by _resolve
+ * @param {Set}      seen    Identifies listeners that were already invoked
+ *
+ * @returns {object[]} The entries not yet seen
+ */
+PatternEmitter._unseen = function(entries, seen) {
+  return entries.filter(function(entry) {
+    var id = (entry.rank === PatternEmitter._defaultRank) ? entry.listener :
+      entry.rank;
+
+    if (seen.has(id)) return false;
+
+    seen.add(id);
+    return true;
+  });
+};
+
+/**
+ * Returns an object describing the listener of the given entry: its pattern,
+ * or null if registered to the type, and the listener as originally added.
+ *
+ * @param {object} entry An entry returned by PatternEmitter.prototype._resolve
+ *
+ * @returns {object} The pattern and listener
+ */
+PatternEmitter._describe = function(entry) {
+  return {
+    pattern: (entry.pattern === undefined) ? null :
+      PatternEmitter._patternFor(entry.pattern, entry.regex),
+    listener: PatternEmitter._unwrap(entry.listener)
+  };
+};
+
+/**
+ * Returns the name of the listener as originally added, or "anonymous" if it
+ * has none.
+ *
+ * @param {function} listener The listener
+ *
+ * @returns {string} The listener's name
+ */
+PatternEmitter._nameOf = function(listener) {
+  return PatternEmitter._unwrap(listener).name || 'anonymous';
+};
+
+/**
+ * Wraps the listener such that each invocation is added to the trace, along
+ * with its duration and any error it threw.
+ *
+ * @param {function} listener The listener to invoke
+ * @param {object}   entry    The listener's entry
+ * @param {object}   trace    The trace of the emit
+ *
+ * @returns {function} The wrapped listener
+ */
+PatternEmitter._timed = function(listener, entry, trace) {
+  return function() {
+    var record = PatternEmitter._describe(entry);
+    var start = PatternEmitter._now();
+
+    record.duration = 0;
+    trace.listeners.push(record);
+
+    try {
+      return listener.apply(this, arguments);
+    } catch (err) {
+      record.error = err;
+      throw err;
+    } finally {
+      record.duration = PatternEmitter._now() - start;
+    }
+  };
+};
+
+/**
+ * Returns a high resolution timestamp in milliseconds.
+ *
+ * @returns {number} The timestamp
+ */
+PatternEmitter._now = function() {
+  var time = process.hrtime();
+
+  return time[0] * 1e3 + time[1] / 1e6;
+};
+
+/**
+ * The tracer used when debugging is enabled with NODE_DEBUG, which logs the
+ * trace to stderr.
+ *
+ * @param {object} trace The trace of an emit
+ */
+PatternEmitter._logTrace = function(trace) {
+  var log = PatternEmitter._debug;
+
+  log('emit %s: %d listener(s) in %sms', String(trace.event),
+    trace.listeners.length, trace.duration.toFixed(3));
+
+  trace.patterns.forEach(function(tested) {
+    log('  %s %s', tested.matched ? 'matched' : 'missed',
+      String(tested.pattern));
+  });
+
+  trace.listeners.forEach(function(invoked) {
+    log('  invoked %s%s in %sms', invoked.listener.name || '<anonymous>',
+      invoked.pattern ? ' for ' + String(invoked.pattern) : '',
+      invoked.duration.toFixed(3));
+  });
+};
+
+/**
+ * Adds the trace of an emit to the statistics, counting the emit for its
+ * event type, each tested pattern, and each invoked listener.
+ *
+ * @param {object} trace The trace of an emit
+ */
+PatternEmitter.prototype._recordStats = function(trace) {
+  var stats = this._stats;
+  var type = PatternEmitter._counters(stats.types, String(trace.event));
+
+  type.emits++;
+  if (trace.listeners.length) type.matches++;
+
+  trace.patterns.forEach(function(tested) {
+    var pattern = PatternEmitter._counters(stats.patterns,
+      PatternEmitter._label(tested.pattern));
+
+    pattern.emits++;
+    if (tested.matched) pattern.matches++;
+  });
+
+  trace.listeners.forEach(function(invoked) {
+    var counters = [type];
+
+    if (invoked.pattern !== null) {
+      counters.push(PatternEmitter._counters(stats.patterns,
+        PatternEmitter._label(invoked.pattern)));
+    }
+
+    counters.forEach(function(counter) {
+      counter.invocations++;
+      counter.duration += invoked.duration;
+      if (invoked.error !== undefined) counter.errors++;
+    });
+  });
+};
+
+/**
+ * Returns the counters stored under the key, creating them if needed.
+ *
+ * @param {Map}    group The counters of either event types or patterns
+ * @param {string} key   The event type or pattern
+ *
+ * @returns {object} The counters
+ */
+PatternEmitter._counters = function(group, key) {
+  var counters = group.get(key);
+
+  if (!counters) {
+    counters = {emits: 0, matches: 0, invocations: 0, errors: 0, duration: 0};
+    group.set(key, counters);
+  }
+
+  return counters;
+};
+
+/**
+ * Escapes a Prometheus label value, being its backslashes, double quotes and
+ * line feeds.
+ *
+ * @param {string} value The label value
+ *
+ * @returns {string} The escaped value
+ */
+PatternEmitter._escapeLabel = function(value) {
+  return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+};
+
+/**
+ * Resolves the listeners for the given type, and if type is a string, those
+ * of all matching patterns. Each entry in the result holds a listener and its
+ * rank, and for patterns, the pattern, its RegExp and the match. Entries are
+ * sorted by priority, and then by the order in which they were registered.
+ * Only patterns returned by the index as candidates are tested. Results for
+ * string types are cached, with the least recently used evicted once the
+ * cache is full. If given an array of tested patterns, the cache isn't used,
+ * and each tested pattern is added to the array along with whether it
+ * matched.
+ *
+ * @param {*}        type     The event type
+ * @param {object[]} [tested] An array to which to add tested patterns
+ *
+ * @returns {object[]} The listener entries
+ */
+PatternEmitter.prototype._resolve = function(type, tested) {
+  var cache = this._cache;
+  var entries = [];
+  var patterns, pattern, regex, match, i;
+
+  if (cache && !tested && cache.has(type)) {
+    entries = cache.get(type);
+
+    // Re-insert the entry to mark it as the most recently used
+    cache.delete(type);
+    cache.set(type, entries);
+
+    return entries;
+  }
+
+  // Get any regular listeners
+  PatternEmitter._collect(entries, this._events[type], this._ranks[type], {});
+
+  if (typeof type !== 'string') {
+    return entries;
+  }
+
+  // Retrieve all pattern listeners
+  patterns = this._index.candidates(type);
+  for (i = 0; i < patterns.length; i++) {
+    pattern = patterns[i];
+    regex = this._regexes[pattern];
+    if (!regex || !(regex instanceof RegExp)) {
+      continue;
+    }
+
+    match = regex.exec(type);
+    if (tested) {
+      tested.push({
+        pattern: PatternEmitter._patternFor(pattern, regex),
+        matched: !!match
+      });
+    }
+
+    if (!match) continue;
+
+    PatternEmitter._collect(entries, this._patternEvents[pattern],
+      this._patternRanks[pattern], {
+        pattern: pattern,
+        regex: regex,
+        match: match
+      });
+  }
+
+  entries.sort(PatternEmitter._compareRanks);
+
+  if (cache) {
+    cache.set(type, entries);
+    if (cache.size > this._cacheSize) {
+      cache.delete(cache.keys().next().value);
+    }
+  }
+
+  return entries;
+};
+
+/**
+ * Clears cached matching listeners affected by a change to the listeners of
+ * the given type. For a pattern, that's every cached type it matches, while
+ * all entries are cleared if no type is given.
+ *
+ * @param {*} [type] The event type, including a pattern, that was modified
+ */
+PatternEmitter.prototype._invalidate = function(type) {
+  var cache = this._cache;
+  var regex;
+
+  if (!cache || !cache.size) return;
+
+  if (!arguments.length) {
+    cache.clear();
+  } else if (!PatternEmitter._isPattern(this, type)) {
+    cache.delete(type);
+  } else {
+    regex = this._regexes[this._lookup(type).key] || this._compile(type);
+
+    cache.forEach(function(groups, cachedType) {
+      if (regex.test(cachedType)) cache.delete(cachedType);
+    });
+  }
+};
+
+/**
+ * Retains the emitted event, discarding the oldest of its type once the
+ * historySize option is exceeded. Expired events of the type are discarded,
+ * along with the types least recently emitted whose events all expired, and
+ * the least recently emitted type once the historyTypes option is exceeded.
+ *
+ * @param {*}   type The emitted event type
+ * @param {*[]} args The event's arguments
+ */
+PatternEmitter.prototype._record = function(type, args) {
+  var history = this._history;
+  var size = this._options.historySize || Infinity;
+  var ttl = this._options.historyTTL;
+  var records = history.get(type) || [];
+  var now = Date.now();
+  var oldest, latest;
+
+  records.push({
+    type: type,
+    args: args.slice(),
+    timestamp: now,
+    order: ++this._historyCounter
+  });
+
+  if (records.length > size) records.shift();
+  while (ttl && now - records[0].timestamp > ttl) records.shift();
+
+  // Re-insert the type to keep types ordered by their latest event
+  history.delete(type);
+  history.set(type, records);
+
+  while (ttl) {
+    oldest = history.entries().next().value;
+    latest = oldest[1][oldest[1].length - 1];
+    if (now - latest.timestamp <= ttl) break;
+
+    history.delete(oldest[0]);
+  }
+
+  if (history.size > this._historyTypes) {
+    history.delete(history.keys().next().value);
+  }
+};
+
+/**
+ * Returns the retained events matching the type or pattern, or all if no type
+ * is given, ordered from oldest to newest. Expired events are discarded.
+ *
+ * @param {*} [type] The event type, including a pattern
+ *
+ * @returns {object[]} The retained events
+ */
+PatternEmitter.prototype._retained = function(type) {
+  var history = this._history;
+  var ttl = this._options.historyTTL;
+  var now = Date.now();
+  var matches = arguments.length ? this._createMatcher(type) : null;
+  var result = [];
+
+  if (!history) return result;
+
+  history.forEach(function(records, recordedType) {
+    while (ttl && records.length && now - records[0].timestamp > ttl) {
+      records.shift();
+    }
+
+    if (!records.length) {
+      history.delete(recordedType);
+    } else if (!matches || matches(recordedType)) {
+      result = result.concat(records);
+    }
+  });
+
+  return result.sort(function(a, b) {
+    return a.order - b.order;
+  });
+};
+
+/**
+ * Invokes the listener with each retained event matching the type or pattern,
+ * as it would have been when emitted. The emitter's event property is left
+ * unchanged.
+ *
+ * @param {*}        type     The event type, including a pattern
+ * @param {function} listener The listener to invoke
+ */
+PatternEmitter.prototype._replay = function(type, listener) {
+  var self = this;
+  var event = this.event;
+  var entry = this._lookup(type);
+  var regex = entry.pattern ? this._regexes[entry.key] : null;
+
+  this._retained(type).forEach(function(record) {
+    self.event = record.type;
+
+    if (!regex) {
+      return listener.apply(self, record.args);
+    }
+
+    self._admit([{
+      listener: listener,
+      pattern: entry.key,
+      regex: regex,
+      match: regex.exec(record.type)
+    }], record.type, record.args).forEach(function(admitted) {
+      PatternEmitter._bindEntry(admitted, record.type)
+        .apply(self, record.args);
+    });
+  });
+
+  this.event = event;
+};
+
+/**
+ * Returns a function testing whether an event type matches the given type or
+ * pattern. Only string types may match a pattern.
+ *
+ * @param {*} type The event type, including a pattern
+ *
+ * @returns {function} The matcher
+ */
+PatternEmitter.prototype._createMatcher = function(type) {
+  var regex;
+
+  if (!PatternEmitter._isPattern(this, type)) {
+    return function(candidate) {
+      return candidate === type;
+    };
+  }
+
+  regex = this._regexes[this._lookup(type).key] || this._compile(type);
+
+  return function(candidate) {
+    return typeof candidate === 'string' && regex.test(candidate);
+  };
+};
+
+/**
+ * Adds the listener to the event type or pattern, as with addListener, or if
+ * prepend is true, prependListener. Emits a 'newListener' event before adding
+ * it.
+ *
+ * @param {*}        type      The event type, including a pattern
+ * @param {function} listener  The listener to add
+ * @param {object}   [options] Optional settings, as with addListener
+ * @param {boolean}  [prepend] Whether to prepend the listener
+ *
+ * @returns {PatternEmitter} This instance
+ * @throws  {TypeError}      If listener is not a function
+ */
+PatternEmitter.prototype._addListener = function(type, listener, options,
+                                                 prepend) {
+  var entry, rank;
+
+  PatternEmitter._checkListener(listener);
+  if (options && options.signal && options.signal.aborted) return this;
+
+  if (options) listener = this._rateLimit(type, listener, options);
+  this._notify('newListener', type, listener);
+
+  entry = this._lookup(type);
+  if (entry.pattern) {
+    if (!this._regexes[entry.key]) {
+      this._regexes[entry.key] = this._compile(type);
+      this._index.add(entry.key, this._regexes[entry.key]);
+    }
+
+    this._regexesCount++;
+  }
+
+  rank = this._createRank(type, listener, options, prepend);
+  PatternEmitter._insert(entry.table, entry.ranks, entry.key, listener, rank,
+    prepend);
+  // Check for leaks while the cache still holds the types the emitter knows
+  this._checkLeaks(type, entry);
+  this._invalidate(type);
+
+  if (options && options.replay && this._history) {
+    this._replay(type, listener);
+  }
+
+  return this;
+};
+
+/**
+ * Removes the listener from the event type or pattern, as with
+ * removeListener, emitting a 'removeListener' event if it was found. If given
+ * a rank, the registration holding it is removed instead, regardless of any
+ * others for the same function. The pattern's RegExp is deleted once it no
+ * longer has any listeners. The removed registration is only released once
+ * the registry was updated, as releasing may invoke the listener.
+ *
+ * @param {*}        type     The event type, including a pattern
+ * @param {function} listener The listener to remove
+ * @param {object}   [rank]   The rank of the registration to remove
+ *
+ * @returns {PatternEmitter} This instance
+ * @throws  {TypeError}      If listener is not a function
+ */
+PatternEmitter.prototype._removeListener = function(type, listener, rank) {
+  var entry, removed;
+
+  PatternEmitter._checkListener(listener);
+
+  entry = this._lookup(type);
+  removed = PatternEmitter._remove(entry.table, entry.ranks, entry.key,
+    listener, rank);
+
+  if (!removed) return this;
+
+  this._invalidate(type);
+
+  if (entry.pattern) {
+    this._regexesCount--;
+
+    if (!entry.table[entry.key] && this._regexes[entry.key]) {
+      delete this._regexes[entry.key];
+      this._index.remove(entry.key);
+    }
+  }
+
+  this._notify('removeListener', type, removed.listener);
+  PatternEmitter._release([removed.rank]);
+
+  return this;
+};
+
+/**
+ * Returns where listeners for the given type are stored: whether it's a
+ * pattern, its key, and the tables of listeners and ranks holding it.
+ *
+ * @param {*} type The event type, including a pattern
+ *
+ * @returns {object} The type's key and tables
+ */
+PatternEmitter.prototype._lookup = function(type) {
+  if (!PatternEmitter._isPattern(this, type)) {
+    return {pattern: false, key: type, table: this._events, ranks: this._ranks};
+  }
+
+  return {
+    pattern: true,
+    key: PatternEmitter._keyFor(type),
+    table: this._patternEvents,
+    ranks: this._patternRanks
+  };
+};
+
+/**
+ * Emits a 'newListener' or 'removeListener' event for the type and listener.
+ * As with EventEmitter, it's only emitted if a listener is registered for
+ * that event type, in which case matching patterns are notified as well. The
+ * listener is reported as originally added, rather than any wrapper, and the
+ * emitter's event property is left unchanged.
+ *
+ * @param {string}   name     Either 'newListener' or 'removeListener'
+ * @param {*}        type     The event type, including a pattern
+ * @param {function} listener The listener that was added or removed
+ */
+PatternEmitter.prototype._notify = function(name, type, listener) {
+  var event = this.event;
+
+  if (!this._events[name]) return;
+
+  this.emit(name, type, PatternEmitter._unwrap(listener));
+  this.event = event;
+};
+
+/**
+ * Emits process warnings for possible leaks after a listener was added. As
+ * with EventEmitter, a warning is emitted the first time the number of
+ * listeners for an event type exceeds the emitter's max, though counting
+ * both its listeners and those of matching patterns. When adding to a
+ * pattern, each event type known to the emitter that the pattern matches is
+ * checked, as is the number of listeners for the pattern itself. Another
+ * warning is emitted the first time the number of distinct patterns exceeds
+ * the max set with setMaxPatterns. Each warning is created while adding the
+ * listener, so its stack trace shows where it was registered. Must be invoked
+ * before invalidating the cache, whose keys are among the known event types.
+ *
+ * @param {*}      type  The event type, including a pattern
+ * @param {object} entry Where listeners for the type are stored
+ */
+PatternEmitter.prototype._checkLeaks = function(type, entry) {
+  var max = this.getMaxListeners();
+  var maxPatterns = this.getMaxPatterns();
+  var self = this;
+  var patterns, count, matches;
+
+  if (entry.pattern && maxPatterns > 0 && !this._warnedMaxPatterns) {
+    patterns = Object.keys(this._patternEvents).map(function(key) {
+      return PatternEmitter._labelFor(key, self._regexes[key]);
+    });
+
+    if (patterns.length > maxPatterns) {
+      this._warnedMaxPatterns = true;
+      this._emitLeakWarning('MaxPatternsExceededWarning',
+        'Possible EventEmitter memory leak detected. ' + patterns.length +
+        ' distinct patterns registered, the latest being ' +
+        PatternEmitter._label(type) + '. ' +
+        'Use emitter.setMaxPatterns() to increase limit', {
+          count: patterns.length,
+          patterns: patterns
+        });
+    }
+  }
+
+  if (!(max > 0)) return;
+
+  if (!entry.pattern) {
+    return this._checkMatching(type, max);
+  }
+
+  count = [].concat(entry.table[entry.key]).length;
+  if (count > max && !this._warnedPatterns.has(entry.key)) {
+    this._warnedPatterns.add(entry.key);
+    this._emitLeakWarning('MaxListenersExceededWarning',
+      'Possible EventEmitter memory leak detected. ' + count + ' ' +
+      PatternEmitter._label(type) + ' listeners added. ' +
+      'Use emitter.setMaxListeners() to increase limit', {
+        type: type,
+        count: count,
+        patterns: [PatternEmitter._label(type)]
+      });
+  }
+
+  matches = this._createMatcher(type);
+  this._knownTypes().forEach(function(known) {
+    if (matches(known)) self._checkMatching(known, max);
+  });
+};
+
+/**
+ * Emits a warning the first time the number of listeners matching the event
+ * type exceeds the max, naming the patterns whose listeners match.
+ *
+ * @param {*}   type The event type
+ * @param {int} max  The max number of listeners
+ */
+PatternEmitter.prototype._checkMatching = function(type, max) {
+  var entries, keys, patterns;
+
+  if (this._warnedTypes.has(type)) return;
+
+  // Bypass cached entries, which don't yet include the added listener
+  entries = this._resolve(type, []);
+  if (entries.length <= max) return;
+
+  keys = [];
+  patterns = [];
+  entries.forEach(function(entry) {
+    if (entry.pattern !== undefined && keys.indexOf(entry.pattern) < 0) {
+      keys.push(entry.pattern);
+      patterns.push(PatternEmitter._labelFor(entry.pattern, entry.regex));
+    }
+  });
+
+  this._warnedTypes.add(type);
+  this._emitLeakWarning('MaxListenersExceededWarning',
+    'Possible EventEmitter memory leak detected. ' + entries.length + ' ' +
+    String(type) + ' listeners added' +
+    (patterns.length ? ', including those of ' + patterns.join(', ') : '') +
+    '. Use emitter.setMaxListeners() to increase limit', {
+      type: type,
+      count: entries.length,
+      patterns: patterns
+    });
+};
+
+/**
+ * Returns the event types known to the emitter: those with listeners, and
+ * those whose matching listeners are cached.
+ *
+ * @returns {Array} The event types
+ */
+PatternEmitter.prototype._knownTypes = function() {
+  var types = Reflect.ownKeys(this._events);
+
+  if (this._cache) {
+    this._cache.forEach(function(entries, type) {
+      if (types.indexOf(type) < 0) types.push(type);
+    });
+  }
+
+  return types;
+};
+
+/**
+ * Emits a process warning with the given name and message, holding the
+ * emitter and the given properties.
+ *
+ * @param {string} name       The warning's name
+ * @param {string} message    The warning's message
+ * @param {object} properties Properties to add to the warning
+ */
+PatternEmitter.prototype._emitLeakWarning = function(name, message,
+                                                     properties) {
+  var warning = new Error(message);
+
+  warning.name = name;
+  warning.emitter = this;
+  Object.assign(warning, properties);
+
+  process.emitWarning(warning);
+};
+
+/**
+ * Wraps the given pattern listener such that the context is appended to the
+ * arguments with which it's invoked. A new context object is created for each
+ * emit, so that it isn't affected by any nested emits.
+ *
+ * @param {function} listener The listener to wrap
+ * @param {object}   context  The context of the match
+ *
+ * @returns {function} The wrapped listener
+ */
+PatternEmitter._bind = function(listener, context) {
+  return function() {
+    var args = Array.prototype.slice.call(arguments);
+    args.push(context);
+
+    return listener.apply(this, args);
+  };
+};
+
+/**
+ * Returns a rank for a listener being registered, holding its priority and
+ * its position in the order of registration. Prepended listeners are ordered
+ * before all those registered so far. If given a signal, the registration
+ * holding the rank is removed once it's aborted, and the rank's release
+ * function stops listening to the signal.
+ *
+ * @param {*}           type               The event type, including a pattern
+ * @param {function}    listener           The listener being registered
+ * @param {object}      [options]          Optional settings
+ * @param {number}      [options.priority] The listener's priority
+ * @param {AbortSignal} [options.signal]   A signal with which to remove the
+ *                                         listener
+ * @param {boolean}     [prepend]          Whether the listener is being
+ *                                         prepended
+ *
+ * @returns {object} The listener's rank
+ */
+PatternEmitter.prototype._createRank = function(type, listener, options,
+                                                prepend) {
+  var counter = ++this._counter;
+  var signal = options && options.signal;
+  var self = this;
+  var rank, onAbort;
+
+  rank = {
+    priority: (options && options.priority) || 0,
+    order: prepend ? -counter : counter
+  };
+
+  if (signal) {
+    // Remove this registration, rather than the latest for the function
+    onAbort = function() {
+      self._removeListener(type, listener, rank);
+    };
+
+    signal.addEventListener('abort', onAbort);
+    rank.release = function() {
+      signal.removeEventListener('abort', onAbort);
+      if (listener.release) listener.release();
+    };
+  } else if (listener.release) {
+    rank.release = listener.release;
+  }
+
+  return rank;
+};
+
+/**
+ * Invokes the release function of each of the given ranks, if any.
+ *
+ * @param {object[]} [ranks] The ranks of removed listeners
+ */
+PatternEmitter._release = function(ranks) {
+  (ranks || []).forEach(function(rank) {
+    if (rank && rank.release) rank.release();
+  });
+};
+
+/**
+ * Inserts the listener and its rank for the key. The listener is added after
+ * those with the same or a higher priority, or if prepended, before those with
+ * the same or a lower priority, keeping both the listeners and ranks sorted.
+ * As with EventEmitter, a lone listener is stored as is, and multiple
+ * listeners as an array.
+ *
+ * @param {object}   table     Either _events or _patternEvents
+ * @param {object}   ranks     The corresponding _ranks or _patternRanks
+ * @param {*}        key       The key under which to add the listener
+ * @param {function} listener  The listener to add
+ * @param {object}   rank      The listener's rank
+ * @param {boolean}  [prepend] Whether the listener is being prepended
+ */
+PatternEmitter._insert = function(table, ranks, key, listener, rank, prepend) {
+  var listeners = table[key];
+  var list = ranks[key] || (ranks[key] = []);
+  var i = 0;
+
+  while (i < list.length && (list[i].priority > rank.priority ||
+      (!prepend && list[i].priority === rank.priority))) {
+    i++;
+  }
+
+  list.splice(i, 0, rank);
+
+  if (!listeners) {
+    table[key] = listener;
+    return;
+  }
+
+  if (!(listeners instanceof Array)) {
+    listeners = table[key] = [listeners];
+  }
+
+  listeners.splice(i, 0, listener);
+};
+
+/**
+ * Removes the listener and its rank from the key. As with EventEmitter, the
+ * last matching listener is the one removed, and a listener matches if it's
+ * either the given function or wraps it. If given a rank, the listener
+ * holding it is removed instead. Returns an object holding the removed
+ * listener and its rank, which is left for the caller to release, or null if
+ * it wasn't found.
+ *
+ * @param {object}   table    Either _events or _patternEvents
+ * @param {object}   ranks    The corresponding _ranks or _patternRanks
+ * @param {*}        key      The key from which to remove the listener
+ * @param {function} listener The listener to remove
+ * @param {object}   [rank]   The rank of the listener to remove
+ *
+ * @returns {object|null} The removed listener and rank, if found
+ */
+PatternEmitter._remove = function(table, ranks, key, listener, rank) {
+  var listeners = [].concat(table[key] || []);
+  var list = ranks[key];
+  var removed, i;
+
+  if (rank) {
+    i = list ? list.indexOf(rank) : -1;
+  } else {
+    for (i = listeners.length - 1; i >= 0; i--) {
+      if (PatternEmitter._wraps(listeners[i], listener)) break;
+    }
+  }
+
+  if (i < 0) return null;
+
+  removed = listeners[i];
+  if (listeners.length > 1) {
+    table[key].splice(i, 1);
+  } else {
+    delete table[key];
+  }
+
+  rank = list && list.splice(i, 1)[0];
+  if (list && !list.length) delete ranks[key];
+
+  return {listener: removed, rank: rank};
+};
+
+/**
+ * Returns the ranks held in the given table of ranks, including those stored
+ * under Symbols.
+ *
+ * @param {object} ranks Either _ranks or _patternRanks
+ *
+ * @returns {object[]} The ranks
+ */
+PatternEmitter._flatten = function(ranks) {
+  return Reflect.ownKeys(ranks).reduce(function(all, key) {
+    return all.concat(ranks[key]);
+  }, []);
+};
+
+/**
+ * Returns a wrapper for the listener that removes itself from the type before
+ * its first invocation. As with EventEmitter, the original listener is
+ * available as its listener property, allowing it to be removed.
+ *
+ * @param {PatternEmitter} emitter  The emitter to which the listener is added
+ * @param {*}              type     The event type, including a pattern
+ * @param {function}       listener The listener to wrap
+ *
+ * @returns {function} The wrapper
+ * @throws  {TypeError} If listener is not a function
+ */
+PatternEmitter._onceWrap = function(emitter, type, listener) {
+  var fired = false;
+  var wrapper;
+
+  PatternEmitter._checkListener(listener);
+
+  wrapper = function() {
+    if (fired) return;
+
+    fired = true;
+    emitter.removeListener(type, wrapper);
+
+    return listener.apply(this, arguments);
+  };
+  wrapper.listener = listener;
+
+  return wrapper;
+};
+
+/**
+ * Returns the function that was originally added for the listener, following
+ * the listener property of any wrappers.
+ *
+ * @param {function} listener The listener, possibly a wrapper
+ *
+ * @returns {function} The original listener
+ */
+PatternEmitter._unwrap = function(listener) {
+  while (listener.listener) listener = listener.listener;
+
+  return listener;
+};
+
+/**
+ * Returns whether or not the stored listener is the given listener, or wraps
+ * it, such that it may be removed using either.
+ *
+ * @param {function} stored   The stored listener, possibly a wrapper
+ * @param {function} listener The listener to look for
+ *
+ * @returns {boolean} Whether or not the stored listener is or wraps it
+ */
+PatternEmitter._wraps = function(stored, listener) {
+  for (; stored; stored = stored.listener) {
+    if (stored === listener) return true;
+  }
+
+  return false;
+};
+
+/**
+ * Returns a wrapper for the listener limiting how often it's invoked, given
+ * the throttle, debounce or batch option, or the listener itself if none are
+ * set. The wrapper's release function settles what's pending once it's
+ * removed: batched events are delivered, while throttled and debounced
+ * invocations are cancelled.
+ *
+ * @param {*}        type     The event type, including a pattern
+ * @param {function} listener The listener to wrap
+ * @param {object}   options  Settings, as with addListener
+ *
+ * @returns {function}   The wrapper, or listener
+ * @throws  {RangeError} If a limit isn't a positive number
+ */
+PatternEmitter.prototype._rateLimit = function(type, listener, options) {
+  var wrapper;
+
+  if (options.batch) {
+    wrapper = this._batchWrap(type, listener, options.batch);
+  } else if (options.throttle !== undefined ||
+      options.debounce !== undefined) {
+    wrapper = this._delayWrap(listener, options);
+  } else {
+    return listener;
+  }
+
+  wrapper.listener = listener;
+
+  return wrapper;
+};
+
+/**
+ * Returns a wrapper for the listener that throttles or debounces it. When
+ * throttled, the listener is invoked immediately, and then at most once per
+ * interval, with the arguments of the latest event. When debounced, it's
+ * only invoked once no event arrived for the interval, with the arguments of
+ * the latest one. Given a key of 'type', each event type is limited
+ * separately, and given a function, it's invoked with the event's arguments
+ * to return the key by which events are grouped. Errors thrown by delayed
+ * invocations are emitted as 'error' events.
+ *
+ * @param {function}        listener           The listener to wrap
+ * @param {object}          options            Settings, as with addListener
+ * @param {number}          [options.throttle] Milliseconds between invocations
+ * @param {number}          [options.debounce] Milliseconds to wait for events
+ *                                             to stop
+ * @param {string|function} [options.key]      How to group events
+ *
+ * @returns {function}   The wrapper
+ * @throws  {RangeError} If the interval isn't a positive number
+ */
+PatternEmitter.prototype._delayWrap = function(listener, options) {
+  var debounce = options.debounce !== undefined;
+  var wait = debounce ? options.debounce : options.throttle;
+  var pending = new Map();
+  var self = this;
+  var invoke, expire, wrapper;
+
+  if (typeof wait !== 'number' || !(wait > 0)) {
+    throw RangeError((debounce ? 'debounce' : 'throttle') +
+      ' must be a positive number');
+  }
+
+  invoke = function(state) {
+    var args = state.args;
+
+    state.args = null;
+    try {
+      listener.apply(state.context, args);
+    } catch (err) {
+      self.emit('error', err);
+    }
+  };
+
+  expire = function(key) {
+    var state = pending.get(key);
+
+    if (debounce || !state.args) {
+      pending.delete(key);
+      if (debounce) invoke(state);
+      return;
+    }
+
+    invoke(state);
+    state.timer = setTimeout(expire, wait, key);
+  };
+
+  wrapper = function() {
+    var key = PatternEmitter._groupKey(self, options.key, arguments);
+    var state = pending.get(key);
+
+    if (!state && !debounce) {
+      pending.set(key, {timer: setTimeout(expire, wait, key), args: null});
+      return listener.apply(this, arguments);
+    }
+
+    if (!state) {
+      state = {};
+      pending.set(key, state);
+    }
+
+    state.args = arguments;
+    state.context = this;
+
+    if (debounce) {
+      clearTimeout(state.timer);
+      state.timer = setTimeout(expire, wait, key);
+    }
+  };
+
+  wrapper.release = function() {
+    pending.forEach(function(state) {
+      clearTimeout(state.timer);
+    });
+    pending.clear();
+  };
+
+  return wrapper;
+};
+
+/**
+ * Returns the key by which a throttled or debounced listener groups the
+ * event: its type if key is 'type', the value returned by key if it's a
+ * function invoked with the event's arguments, and otherwise the same key
+ * for all events.
+ *
+ * @param {PatternEmitter}  emitter The emitter of the event
+ * @param {string|function} [key]   How to group events
+ * @param {Arguments}       args    The event's arguments
+ *
+ * @returns {*} The key
+ */
+PatternEmitter._groupKey = function(emitter, key, args) {
+  if (key === 'type') {
+    return emitter.event;
+  } else if (typeof key === 'function') {
+    return key.apply(emitter, args);
+  }
+
+  return null;
+};
+
+/**
+ * Returns a wrapper for the listener that collects events, each an object
+ * holding its type and an array of its arguments, and invokes the listener
+ * with an array of them once size events were collected, or interval
+ * milliseconds passed since the first. Errors thrown when delivering after
+ * the interval, or once the listener is removed, are emitted as 'error'
+ * events.
+ *
+ * @param {*}        type             The event type, including a pattern
+ * @param {function} listener         The listener to wrap
+ * @param {object}   batch            The batch option
+ * @param {int}      [batch.size]     The max number of events per batch
+ * @param {number}   [batch.interval] The max milliseconds to wait for events
+ *
+ * @returns {function}   The wrapper
+ * @throws  {RangeError} If neither a positive size nor interval is given
+ */
+PatternEmitter.prototype._batchWrap = function(type, listener, batch) {
+  var size = batch.size || Infinity;
+  var interval = batch.interval;
+  var events = [];
+  var self = this;
+  var timer, flush, deliver, wrapper;
+
+  if (!(size > 0) || (size === Infinity && !(interval > 0))) {
+    throw RangeError('batch must have a positive size or interval');
+  }
+
+  flush = function() {
+    var batched = events;
+
+    clearTimeout(timer);
+    timer = null;
+    if (!batched.length) return;
+
+    events = [];
+    listener.call(self, batched);
+  };
+
+  deliver = function() {
+    try {
+      flush();
+    } catch (err) {
+      self.emit('error', err);
+    }
+  };
+
+  wrapper = this._createEventListener(type, function(event) {
+    events.push(event);
+
+    if (events.length >= size) {
+      flush();
+    } else if (interval > 0 && !timer) {
+      timer = setTimeout(deliver, interval);
+    }
+  });
+
+  wrapper.release = deliver;
+
+  return wrapper;
+};
+
+/**
+ * Throws a TypeError if the listener isn't a function.
+ *
+ * @param {*} listener The listener to check
+ *
+ * @throws {TypeError} If listener is not a function
+ */
+PatternEmitter._checkListener = function(listener) {
+  if (typeof listener !== 'function') {
+    throw TypeError('listener must be a function');
+  }
+};
+
+/**
+ * Adds an entry to the array for each of the given listeners, holding the
+ * listener, its rank, and the properties of the match.
+ *
+ * @param {object[]}            entries   The entries to which to add
+ * @param {function|function[]} listeners The listeners, if any
+ * @param {object[]}            ranks     The ranks of the listeners, if any
+ * @param {object}              match     Properties describing the match
+ */
+PatternEmitter._collect = function(entries, listeners, ranks, match) {
+  [].concat(listeners || []).forEach(function(listener, i) {
+    entries.push({
+      listener: listener,
+      rank: (ranks && ranks[i]) || PatternEmitter._defaultRank,
+      pattern: match.pattern,
+      regex: match.regex,
+      match: match.match
+    });
+  });
+};
+
+/**
+ * Compares two listener entries, ordering them by descending priority and
+ * then by the order in which they were registered.
+ *
+ * @param {object} a The first entry
+ * @param {object} b The second entry
+ *
+ * @returns {number} A negative number if a is to be invoked first, positive if
+ *                   b is, and 0 otherwise
+ */
+PatternEmitter._compareRanks = function(a, b) {
+  return (b.rank.priority - a.rank.priority) || (a.rank.order - b.rank.order);
+};
+
+/**
+ * Returns a listener for the type that invokes the callback with an object
+ * holding the emitted event's type and arguments. For patterns, the type is
+ * taken from the context, which is excluded from the arguments.
+ *
+ * @param {*}        type     The event type, including a pattern
+ * @param {function} callback The function to invoke with each event
+ *
+ * @returns {function} The listener
+ */
+PatternEmitter.prototype._createEventListener = function(type, callback) {
+  var isPattern = PatternEmitter._isPattern(this, type);
+
+  return function() {
+    var args = Array.prototype.slice.call(arguments);
+    var context = isPattern ? args.pop() : null;
+
+    callback({type: context ? context.event : type, args: args});
+  };
+};
+
+/**
+ * Returns the emit method of a namespace's child emitter. Events with a
+ * string type are emitted by the parent with the prefix added, reaching the
+ * child through PatternEmitter.prototype._deliver, which records whether the
+ * child had listeners. Others are emitted by the child itself.
+ *
+ * @param {PatternEmitter} parent The parent emitter
+ * @param {string}         prefix The prefix of the namespace's event types
+ *
+ * @returns {function} The child's emit method
+ */
+PatternEmitter._scopedEmit = function(parent, prefix) {
+  return function(type) {
+    var args = Array.prototype.slice.call(arguments, 1);
+    var delivery;
+
+    if (typeof type !== 'string') {
+      return PatternEmitter.prototype.emit.apply(this, arguments);
+    }
+
+    delivery = this._delivery = {result: false};
+    parent.emit.apply(parent, [prefix + type].concat(args));
+
+    return delivery.result;
+  };
+};
+
+/**
+ * Returns the error with which to reject given an aborted signal, being its
+ * reason if available.
+ *
+ * @param {AbortSignal} signal The aborted signal
+ *
+ * @returns {Error} The error
+ */
+PatternEmitter._abortError = function(signal) {
+  var error;
+
+  if (signal.reason !== undefined) return signal.reason;
+
+  error = new Error('The operation was aborted');
+  error.name = 'AbortError';
+
+  return error;
+};
+
+/**
+ * Returns the error to throw when an 'error' event has no listeners: the
+ * emitted value if it's an Error, or an Error holding it as its context.
+ *
+ * @param {*} value The first argument of the 'error' event
+ *
+ * @returns {Error} The error
+ */
+PatternEmitter._unhandledError = function(value) {
+  var error;
+
+  if (value instanceof Error) return value;
+
+  error = new Error('Uncaught, unspecified "error" event.' +
+    ((value === undefined) ? '' : ' (' + util.inspect(value) + ')'));
+  error.context = value;
+
+  return error;
+};
+
+/**
+ * Returns the pattern to report for the key. RegExps and matchers are
+ * reported as they were registered, while globs and templates are reported
+ * by their string rather than the compiled RegExp.
+ *
+ * @param {string} key   The pattern's key
+ * @param {RegExp} regex The pattern's RegExp
+ *
+ * @returns {RegExp|string|object|function} The pattern
+ */
+PatternEmitter._patternFor = function(key, regex) {
+  var prefix = PatternEmitter._globPrefix;
+
+  if (regex.matcher) return regex.matcher;
+
+  return (key.slice(0, prefix.length) === prefix) ?
+    key.slice(prefix.length) : regex;
+};
+
+/**
+ * Returns the label of the pattern stored under the key, as reported in
+ * subscriptions and leak warnings.
+ *
+ * @param {string} key   The pattern's key
+ * @param {RegExp} regex The pattern's RegExp
+ *
+ * @returns {string} The label
+ */
+PatternEmitter._labelFor = function(key, regex) {
+  return PatternEmitter._label(PatternEmitter._patternFor(key, regex));
+};
+
+/**
+ * Returns whether or not the event type is a matcher: a predicate, or an
+ * object holding one as its where property.
+ *
+ * @param {*} type The event type
+ *
+ * @returns {boolean} Whether or not the type is a matcher
+ */
+PatternEmitter._isMatcher = function(type) {
+  if (typeof type === 'function') return true;
+
+  return !!type && typeof type === 'object' && !(type instanceof RegExp) &&
+    typeof type.where === 'function';
+};
+
+/**
+ * Returns whether or not the entry of a list is an exclusion, being an object
+ * holding the type or pattern to exclude as its not property.
+ *
+ * @param {*} entry The entry of a list
+ *
+ * @returns {boolean} Whether or not the entry is an exclusion
+ */
+PatternEmitter._isExclusion = function(entry) {
+  return !!entry && typeof entry === 'object' && !(entry instanceof RegExp) &&
+    entry.not !== undefined;
+};
+
+/**
+ * Returns a label for the pattern, being its string for RegExps, globs and
+ * templates. Matchers are labeled by their type, if any, and the name of
+ * their predicate, and lists by the labels of their entries.
+ *
+ * @param {RegExp|string|object|function|Array} pattern The pattern
+ *
+ * @returns {string} The label
+ */
+PatternEmitter._label = function(pattern) {
+  var where;
+
+  if (pattern instanceof Array) {
+    return '[' + pattern.map(function(entry) {
+      return PatternEmitter._label(entry);
+    }).join(', ') + ']';
+  } else if (PatternEmitter._isExclusion(pattern)) {
+    return 'not ' + PatternEmitter._label(pattern.not);
+  } else if (!PatternEmitter._isMatcher(pattern)) {
+    return String(pattern);
+  }
+
+  if (typeof pattern === 'function') {
+    where = pattern;
+  } else {
+    where = pattern.where;
+    if (pattern.type !== undefined) {
+      return PatternEmitter._label(pattern.type) + ' where ' +
+        (where.name || 'anonymous');
+    }
+  }
+
+  return 'where ' + (where.name || 'anonymous');
+};
+
+/**
+ * Returns the key under which listeners of the pattern are stored. RegExps
+ * are stored under their string, and globs and templates under theirs with
+ * a prefix, such that the two never share a key. Matchers and lists are
+ * stored under the JSON of their encoding, such that those with the same type
+ * and predicate, or the same entries, share a key.
+ *
+ * @param {RegExp|string|object|function|Array} pattern The pattern
+ *
+ * @returns {string} The pattern's key
+ */
+PatternEmitter._keyFor = function(pattern) {
+  if (typeof pattern === 'string') {
+    return PatternEmitter._globPrefix + pattern;
+  } else if (pattern instanceof RegExp) {
+    return String(pattern);
+  }
+
+  return JSON.stringify(PatternEmitter._encode(pattern));
+};
+
+/**
+ * Returns an encoding of the pattern that may be serialized as JSON, in which
+ * each kind of entry is distinct. Event types are encoded as strings, and
+ * lists as arrays of the encodings of their entries. RegExps, exclusions and
+ * matchers are encoded as objects holding their string, the encoding of the
+ * excluded entry, or the encoding of their type, if any, and an id unique to
+ * their predicate.
+ *
+ * @param {*} pattern The pattern, or an entry of one
+ *
+ * @returns {string|object|Array} The encoding
+ */
+PatternEmitter._encode = function(pattern) {
+  var ids = PatternEmitter._predicateIds;
+  var where;
+
+  if (pattern instanceof Array) {
+    return pattern.map(PatternEmitter._encode);
+  } else if (pattern instanceof RegExp) {
+    return {regex: String(pattern)};
+  } else if (PatternEmitter._isExclusion(pattern)) {
+    return {not: PatternEmitter._encode(pattern.not)};
+  } else if (!PatternEmitter._isMatcher(pattern)) {
+    return String(pattern);
+  }
+
+  where = (typeof pattern === 'function') ? pattern : pattern.where;
+  if (!ids.has(where)) ids.set(where, ++PatternEmitter._predicateCounter);
+
+  return {
+    type: (where === pattern || pattern.type === undefined) ? null :
+      PatternEmitter._encode(pattern.type),
+    where: ids.get(where)
+  };
+};
+
+/**
+ * Returns whether or not the given event type is a pattern for the emitter.
+ * RegExps, matchers and lists are always patterns, while strings are only
+ * treated as globs if the emitter was created with the glob or delimiter
+ * option, and as templates if created with the templates option.
+ *
+ * @param {PatternEmitter} emitter The emitter for which to check the type
+ * @param {*}              type    The event type
+ *
+ * @returns {boolean} Whether or not the type is a pattern
+ */
+PatternEmitter._isPattern = function(emitter, type) {
+  var options, separator, i;
+
+  if (type instanceof RegExp || type instanceof Array ||
+      PatternEmitter._isMatcher(type)) {
+    return true;
+  }
+
+  options = emitter && emitter._options;
+  if (typeof type !== 'string' || !options) {
+    return false;
+  }
+
+  if ((options.glob || options.delimiter) &&
+      PatternEmitter._globChars.test(type)) {
+    return true;
+  }
+
+  if (!options.templates) return false;
+
+  separator = options.delimiter || '/';
+  for (i = type.indexOf(':'); i !== -1; i = type.indexOf(':', i + 1)) {
+    if (PatternEmitter._paramAt(type, i, separator)) return true;
+  }
+
+  return false;
+};
+
+/**
+ * Returns a RegExp for the given pattern, as with _toRegExp. For a matcher,
+ * it's a new RegExp for its type, holding the matcher and its predicate as
+ * its matcher and where properties. It matches any string if the matcher has
+ * no type. Lists of patterns are compiled with _compileList.
+ *
+ * @param {RegExp|string|object|function|Array} pattern A RegExp, glob,
+ *                                                      template, matcher or
+ *                                                      list
+ *
+ * @returns {RegExp}    The RegExp to test against event types
+ * @throws  {TypeError} If a matcher's type is neither a string nor a pattern
+ */
+PatternEmitter.prototype._compile = function(pattern) {
+  var regex;
+
+  if (pattern instanceof Array) {
+    return this._compileList(pattern);
+  } else if (!PatternEmitter._isMatcher(pattern)) {
+    return PatternEmitter._toRegExp(pattern, this._options);
+  }
+
+  if (typeof pattern === 'function' || pattern.type === undefined) {
+    regex = new RegExp('');
+  } else {
+    regex = this._compileType(pattern.type);
+  }
+
+  regex.matcher = pattern;
+  regex.where = (typeof pattern === 'function') ? pattern : pattern.where;
+
+  return regex;
+};
+
+/**
+ * Returns a new RegExp for an event type or pattern that's part of a matcher
+ * or list, matching only the type itself if it's not a pattern.
+ *
+ * @param {*} type The event type or pattern
+ *
+ * @returns {RegExp}    The RegExp to test against event types
+ * @throws  {TypeError} If type is neither a string nor a pattern
+ */
+PatternEmitter.prototype._compileType = function(type) {
+  var regex;
+
+  if (type instanceof Array) {
+    return this._compileList(type);
+  } else if (PatternEmitter._isMatcher(type) ||
+      (typeof type !== 'string' && !(type instanceof RegExp))) {
+    throw TypeError('type must be a string or pattern');
+  } else if (!PatternEmitter._isPattern(this, type)) {
+    return new RegExp('^' + PatternEmitter._escape(type) + '$');
+  }
+
+  regex = PatternEmitter._toRegExp(type, this._options);
+
+  return new RegExp(regex.source, regex.flags);
+};
+
+/**
+ * Returns a RegExp for a list of event types and patterns, holding the list
+ * as its matcher property. Entries of the form {not: type} are exclusions.
+ * Its exec method returns null if any exclusion matches the type, and
+ * otherwise the match of the first other entry that matches. A list holding
+ * only exclusions matches all other types. As test relies on exec, both
+ * behave accordingly. As patterns only match string types, Symbols aren't
+ * supported as entries.
+ *
+ * @param {Array} list The event types, patterns and exclusions
+ *
+ * @returns {RegExp}    The RegExp to test against event types
+ * @throws  {TypeError} If the list is empty, or holds an entry that's neither
+ *                      a string nor a pattern
+ */
+PatternEmitter.prototype._compileList = function(list) {
+  var regex = new RegExp('');
+  var exec = regex.exec;
+  var included = [];
+  var excluded = [];
+  var self = this;
+
+  if (!list.length) throw TypeError('list must not be empty');
+
+  list.forEach(function(entry) {
+    if (PatternEmitter._isExclusion(entry)) {
+      excluded.push(self._compileType(entry.not));
+    } else {
+      included.push(self._compileType(entry));
+    }
+  });
+
+  regex.exec = function(type) {
+    var match, i;
+
+    for (i = 0; i < excluded.length; i++) {
+      if (excluded[i].test(type)) return null;
+    }
+
+    if (!included.length) return exec.call(regex, type);
+
+    for (i = 0; i < included.length; i++) {
+      match = included[i].exec(type);
+      if (match) return match;
+    }
+
+    return null;
+  };
+
+  regex.matcher = list;
+
+  return regex;
+};
+
+/**
+ * Returns a RegExp for the given pattern, compiling it if given a glob or
+ * template. If a delimiter is specified, the glob is compiled such that its
+ * wildcards respect segment boundaries.
+ *
+ * @param {RegExp|string} pattern   A RegExp, glob or template
+ * @param {object}        [options] The emitter's options
+ *
+ * @returns {RegExp} The RegExp to test against event types
+ */
+PatternEmitter._toRegExp = function(pattern, options) {
+  var source;
+
+  if (pattern instanceof RegExp) return pattern;
+
+  options = options || {};
+  if (options.templates) {
+    PatternEmitter._checkParams(pattern, options.delimiter || '/');
+  }
+
+  if (options.delimiter) {
+    source = PatternEmitter._translateSegments(pattern, options);
+  } else {
+    source = PatternEmitter._translate(pattern, options);
+  }
+
+  return new RegExp('^' + source + '$');
+};
+
+/**
+ * Translates a glob into the source of an equivalent regular expression. An
+ * asterisk matches any sequence of characters, a question mark matches any
+ * single character, and braces list comma-separated alternatives. If the
+ * templates option is set, a parameter such as ':id' at the start of a
+ * segment matches one or more characters, captured in a group of that name.
+ * All other characters are matched literally. If a delimiter is given,
+ * neither wildcard matches it.
+ *
+ * @param {string} glob      The glob to translate
+ * @param {object} [options] The emitter's options
+ *
+ * @returns {string} The source of a RegExp
+ */
+PatternEmitter._translate = function(glob, options) {
+  var delimiter = options.delimiter;
+  var globbing = options.glob || delimiter;
+  var separator = delimiter || '/';
+  var any = '[\\s\\S]';
+  var source = '';
+  var i, chr, end, alternatives, param;
+
+  if (delimiter) {
+    any = '(?:(?!' + PatternEmitter._escape(delimiter) + ')[\\s\\S])';
+  }
+
+  for (i = 0; i < glob.length; i++) {
+    chr = glob.charAt(i);
+
+    if (globbing && chr === '*') {
+      source += any + '*';
+    } else if (globbing && chr === '?') {
+      source += any;
+    } else if (globbing && chr === '{' &&
+        (end = glob.indexOf('}', i)) !== -1) {
+      alternatives = glob.slice(i + 1, end).split(',');
+      source += '(?:' + alternatives.map(function(alternative) {
+        return PatternEmitter._translate(alternative, options);
+      }).join('|') + ')';
+      i = end;
+    } else if (options.templates && chr === ':' &&
+        (param = PatternEmitter._paramAt(glob, i, separator))) {
+      source += '(?<' + param + '>(?:(?!' + PatternEmitter._escape(separator) +
+        ')[\\s\\S])+)';
+      i += param.length;
+    } else {
+      source += PatternEmitter._escape(chr);
+    }
+  }
+
+  return source;
+};
+
+/**
+ * Translates a glob made up of segments separated by the delimiter. Within a
+ * segment, wildcards behave as in PatternEmitter._translate, never matching
+ * the delimiter. A segment consisting of '**' matches zero or more segments.
+ *
+ * @param {string} glob    The glob to translate
+ * @param {object} options The emitter's options, including its delimiter
+ *
+ * @returns {string} The source of a RegExp
+ */
+PatternEmitter._translateSegments = function(glob, options) {
+  var delimiter = options.delimiter;
+  var separator = PatternEmitter._escape(delimiter);
+  var source = '';
+  var prefix = '';
+
+  // Consecutive globstars are equivalent to a single one
+  var segments = glob.split(delimiter).filter(function(segment, i, all) {
+    return segment !== '**' || all[i - 1] !== '**';
+  });
+
+  if (segments.length === 1 && segments[0] === '**') {
+    return '[\\s\\S]*';
+  }
+
+  segments.forEach(function(segment, i) {
+    if (segment !== '**') {
+      source += prefix + PatternEmitter._translate(segment, options);
+      prefix = separator;
+    } else if (!i) {
+      // A leading globstar consumes the separator of the following segment
+      source += '(?:[\\s\\S]*' + separator + ')?';
+    } else {
+      source += '(?:' + separator + '[\\s\\S]*)?';
+    }
+  });
+
+  return source;
+};
+
+/**
+ * Throws a TypeError if the template holds the same parameter more than once,
+ * as its named groups couldn't be compiled.
+ *
+ * @param {string} template  The template
+ * @param {string} separator The string separating segments
+ *
+ * @throws {TypeError} If a parameter name is repeated
+ */
+PatternEmitter._checkParams = function(template, separator) {
+  var names = [];
+  var i, name;
+
+  for (i = template.indexOf(':'); i !== -1; i = template.indexOf(':', i + 1)) {
+    name = PatternEmitter._paramAt(template, i, separator);
+    if (!name) continue;
+
+    if (names.indexOf(name) !== -1) {
+      throw TypeError('template ' + template + ' repeats parameter ' + name);
+    }
+
+    names.push(name);
+  }
+};
+
+/**
+ * Returns the name of the template parameter whose colon is at the given
+ * index, if any. A parameter must be at the start of the string or directly
+ * follow the separator, and its name must be a valid identifier.
+ *
+ * @param {string} str       The template
+ * @param {int}    index     The index of a colon within the template
+ * @param {string} separator The string separating segments
+ *
+ * @returns {string|null} The parameter name, or null if there isn't one
+ */
+PatternEmitter._paramAt = function(str, index, separator) {
+  var name;
+
+  if (index && str.slice(0, index).slice(-separator.length) !== separator) {
+    return null;
+  }
+
+  name = PatternEmitter._paramName.exec(str.slice(index + 1));
+
+  return name && name[0];
+};
+
+/**
+ * Escapes all characters with special meaning in a regular expression.
+ *
+ * @param {string} str The string to escape
+ *
+ * @returns {string} The escaped string
+ */
+PatternEmitter._escape = function(str) {
+  return str.replace(PatternEmitter._specialChars, '\\$&');
 };
@@ -0,0 +1,202 @@
+/**
+ * Creates a new PatternIndex, used to narrow down the patterns that may match
+ * an event type. Anchored patterns that begin with a literal prefix, such as
+ * /^user:/, are stored in a trie keyed by that prefix, so that only patterns
+ * whose prefix starts the type need to be tested. All others are kept in a
+ * list of patterns that must always be tested.
+ *
+ * @constructor
+ */
+function PatternIndex() {
+  this._root = {children: {}, keys: []};
+  this._unanchored = [];
+  this._prefixes = {};
+  this._order = {};
+  this._counter = 0;
+}
+
+module.exports = PatternIndex;
+
+// Characters with special meaning in a RegExp, and those that are quantifiers
+// making the preceding character optional
+
+PatternIndex._specialChars = /[\^$.*+?()[\]{}|]/;
+
+PatternIndex._optional = /[*?{]/;
+
+/**
+ * Adds the pattern to the index under the given key. Keys are returned by
+ * PatternIndex.prototype.candidates in the order in which they were added.
+ *
+ * @param {string} key   The key under which the pattern is stored
+ * @param {RegExp} regex The pattern's RegExp
+ */
+PatternIndex.prototype.add = function(key, regex) {
+  var prefix = PatternIndex.prefix(regex);
+  var node = this._root;
+  var i, chr;
+
+  if (this._order.hasOwnProperty(key)) {
+    this.remove(key);
+  }
+
+  this._order[key] = this._counter++;
+  this._prefixes[key] = prefix;
+
+  if (!prefix) {
+    this._unanchored.push(key);
+    return;
+  }
+
+  for (i = 0; i < prefix.length; i++) {
+    chr = prefix.charAt(i);
+    if (!node.children.hasOwnProperty(chr)) {
+      node.children[chr] = {children: {}, keys: []};
+    }
+    node = node.children[chr];
+  }
+
+  node.keys.push(key);
+};
+
+/**
+ * Removes the pattern stored under the given key, if any, pruning any nodes
+ * of the trie that are no longer needed.
+ *
+ * @param {string} key The key under which the pattern is stored
+ */
+PatternIndex.prototype.remove = function(key) {
+  var prefix = this._prefixes[key];
+  var path = [this._root];
+  var node, i;
+
+  if (!this._order.hasOwnProperty(key)) return;
+
+  delete this._order[key];
+  delete this._prefixes[key];
+
+  if (!prefix) {
+    this._unanchored.splice(this._unanchored.indexOf(key), 1);
+    return;
+  }
+
+  for (i = 0; i < prefix.length; i++) {
+    path.push(path[i].children[prefix.charAt(i)]);
+  }
+
+  node = path[prefix.length];
+  node.keys.splice(node.keys.indexOf(key), 1);
+
+  // Remove empty nodes, starting with the deepest
+  for (i = prefix.length; i > 0; i--) {
+    node = path[i];
+    if (node.keys.length || Object.keys(node.children).length) break;
+
+    delete path[i - 1].children[prefix.charAt(i - 1)];
+  }
+};
+
+/**
+ * Returns the keys of all patterns that may match the given type: those whose
+ * prefix starts the type, and all patterns without a prefix. Keys are sorted
+ * in the order in which they were added.
+ *
+ * @param {string} type The event type
+ *
+ * @returns {string[]} The keys of the candidate patterns
+ */
+PatternIndex.prototype.candidates = function(type) {
+  var keys = this._unanchored.slice();
+  var node = this._root;
+  var order = this._order;
+  var i;
+
+  for (i = 0; i < type.length; i++) {
+    node = node.children[type.charAt(i)];
+    if (!node) break;
+
+    keys = keys.concat(node.keys);
+  }
+
+  return keys.sort(function(a, b) {
+    return order[a] - order[b];
+  });
+};
+
+/**
+ * Returns the literal prefix that any string matched by the RegExp must start
+ * with, if any. Only patterns anchored with '^' have a prefix, and those with
+ * the ignoreCase or multiline flags, or top-level alternation, are excluded.
+ *
+ * @param {RegExp} regex The RegExp
+ *
+ * @returns {string} The literal prefix, or an empty string if there isn't one
+ */
+PatternIndex.prefix = function(regex) {
+  var source = regex.source;
+  var prefix = '';
+  var i, chr, literal, length;
+
+  if (regex.ignoreCase || regex.multiline || source.charAt(0) !== '^' ||
+      PatternIndex._hasAlternation(source)) {
+    return '';
+  }
+
+  for (i = 1; i < source.length; i += length) {
+    chr = source.charAt(i);
+
+    if (chr === '\\') {
+      // Escaped letters and digits are classes, assertions or references
+      literal = source.charAt(i + 1);
+      if (!literal || /\w/.test(literal)) break;
+      length = 2;
+    } else if (PatternIndex._specialChars.test(chr)) {
+      break;
+    } else {
+      literal = chr;
+      length = 1;
+    }
+
+    chr = source.charAt(i + length);
+    if (PatternIndex._optional.test(chr)) break;
+
+    prefix += literal;
+    if (chr === '+') break;
+  }
+
+  return prefix;
+};
+
+/**
+ * Returns whether or not the RegExp source contains alternation outside of
+ * any group, in which case its anchor only applies to the first alternative.
+ *
+ * @param {string} source The source of a RegExp
+ *
+ * @returns {boolean} Whether or not the source has top-level alternation
+ */
+PatternIndex._hasAlternation = function(source) {
+  var depth = 0;
+  var inClass = false;
+  var i, chr;
+
+  for (i = 0; i < source.length; i++) {
+    chr = source.charAt(i);
+
+    if (chr === '\\') {
+      i++;
+    } else if (inClass) {
+      inClass = (chr !== ']');
+    } else if (chr === '[') {
+      inClass = true;
+    } else if (chr === '(') {
+      depth++;
+    } else if (chr === ')') {
+      depth--;
+    } else if (chr === '|' && !depth) {
+      return true;
+    }
+  }
+
+  return false;
+};
@@ -9,8 +9,12 @@ describe('PatternEmitter', function() {
     emitter = new PatternEmitter();
   });
 
-  it("inherits listeners, once and setMaxListeners from EventEmitter", function() {
-    var methods = ['listeners', 'once', 'setMaxListeners'];
+  it('is an instance of EventEmitter', function() {
+    expect(emitter).to.be.an(EventEmitter);
+  });
+
+  it("inherits setMaxListeners and getMaxListeners from EventEmitter", function() {
+    var methods = ['setMaxListeners', 'getMaxListeners'];
 
     methods.forEach(function(method) {
       expect(PatternEmitter.prototype[method]).to.be(EventEmitter.prototype[method]);
@@ -29,9 +33,530 @@ describe('PatternEmitter', function() {
     it('adds a _regexes property', function() {
       expect(emitter._regexes).to.eql({});
     });
+
+    it('stores the options passed to it', function() {
+      emitter = new PatternEmitter({glob: true});
+      expect(emitter._options).to.eql({glob: true});
+    });
+  });
+
+  describe('glob patterns', function() {
+    beforeEach(function() {
+      emitter = new PatternEmitter({glob: true});
+    });
+
+    it('treats strings with glob syntax as literal events by default', function() {
+      var invoked = false;
+      emitter = new PatternEmitter();
+      emitter.on('user:*', function() {
+        invoked = true;
+      });
+
+      emitter.emit('user:created');
+      expect(invoked).to.be(false);
+      emitter.emit('user:*');
+      expect(invoked).to.be(true);
+      expect(emitter._patternEvents).to.eql({});
+    });
+
+    it('matches any sequence of characters with an asterisk', function() {
+      var events = [];
+      emitter.on('user:*:created', function() {
+        events.push(this.event);
+      });
+
+      emitter.emit('user:10:created');
+      emitter.emit('user::created');
+      emitter.emit('user:10:updated');
+
+      expect(events).to.eql(['user:10:created', 'user::created']);
+    });
+
+    it('matches a single character with a question mark', function() {
+      var events = [];
+      emitter.on('job:?', function() {
+        events.push(this.event);
+      });
+
+      emitter.emit('job:1');
+      emitter.emit('job:12');
+
+      expect(events).to.eql(['job:1']);
+    });
+
+    it('matches any of the alternatives listed within braces', function() {
+      var events = [];
+      emitter.on('user:{created,deleted}', function() {
+        events.push(this.event);
+      });
+
+      emitter.emit('user:created');
+      emitter.emit('user:updated');
+      emitter.emit('user:deleted');
+
+      expect(events).to.eql(['user:created', 'user:deleted']);
+    });
+
+    it('matches all other characters literally', function() {
+      var invoked = false;
+      emitter.on('a.b+*', function() {
+        invoked = true;
+      });
+
+      emitter.emit('aXbb');
+      expect(invoked).to.be(false);
+      emitter.emit('a.b+c');
+      expect(invoked).to.be(true);
+    });
+
+    it('stores the compiled glob by its prefixed string in _regexes',
+        function() {
+      var listener = function() {};
+      emitter.on('user:*', listener);
+
+      expect(emitter._patternEvents['glob:user:*']).to.be(listener);
+      expect(emitter._regexes['glob:user:*']).to.be.a(RegExp);
+    });
+
+    it('does not share a key with a RegExp of the same string', function() {
+      var counts = {glob: 0, regex: 0};
+      emitter.on('/a*/', function() {
+        counts.glob++;
+      });
+      emitter.on(/a*/, function() {
+        counts.regex++;
+      });
+
+      emitter.emit('zzz');
+      emitter.emit('/aa/');
+
+      expect(counts).to.eql({glob: 1, regex: 2});
+      expect(emitter.patterns()).to.eql(['/a*/', /a*/]);
+    });
+
+    it('can be listed, counted and removed like a RegExp', function() {
+      var listener = function() {};
+      emitter.on('user:*', listener);
+      emitter.on('user:*', function() {});
+
+      expect(emitter.patternListeners('user:*')).to.have.length(2);
+      expect(PatternEmitter.patternListenerCount(emitter, 'user:*')).to.be(2);
+
+      emitter.removeListener('user:*', listener);
+      expect(emitter.patternListeners('user:*')).to.have.length(1);
+
+      emitter.removeAllListeners('user:*');
+      expect(emitter._patternEvents).not.to.have.key('glob:user:*');
+      expect(emitter._regexes).not.to.have.key('glob:user:*');
+    });
+  });
+
+  describe('delimited glob patterns', function() {
+    var events;
+    var record = function() {
+      events.push(this.event);
+    };
+
+    beforeEach(function() {
+      emitter = new PatternEmitter({delimiter: '.'});
+      events = [];
+    });
+
+    it('matches a single segment with an asterisk', function() {
+      emitter.on('order.*.created', record);
+
+      emitter.emit('order.eu.created');
+      emitter.emit('order.eu.west.created');
+      emitter.emit('order.created');
+
+      expect(events).to.eql(['order.eu.created']);
+    });
+
+    it('matches a single non-delimiter character with a question mark', function() {
+      emitter.on('order.?', record);
+
+      emitter.emit('order.a');
+      emitter.emit('order..');
+
+      expect(events).to.eql(['order.a']);
+    });
+
+    it('matches zero or more segments with a double asterisk', function() {
+      emitter.on('order.**.created', record);
+
+      emitter.emit('order.created');
+      emitter.emit('order.eu.created');
+      emitter.emit('order.eu.west.created');
+      emitter.emit('order.eucreated');
+
+      expect(events).to.eql(['order.created', 'order.eu.created',
+        'order.eu.west.created']);
+    });
+
+    it('supports leading and trailing double asterisks', function() {
+      emitter.on('**.created', record);
+      emitter.on('order.**', record);
+
+      emitter.emit('created');
+      emitter.emit('order');
+      emitter.emit('order.eu.created');
+      emitter.emit('orders.eu');
+
+      expect(events).to.eql(['created', 'order', 'order.eu.created',
+        'order.eu.created']);
+    });
+
+    it('supports multi-character delimiters', function() {
+      emitter = new PatternEmitter({delimiter: '::'});
+      emitter.on('app::*::ready', record);
+
+      emitter.emit('app::db::ready');
+      emitter.emit('app::db::cache::ready');
+
+      expect(events).to.eql(['app::db::ready']);
+    });
+
+    it('is included with exact and RegExp listeners by matchingListeners', function() {
+      var listener1 = function() {};
+      var listener2 = function() {};
+      var listener3 = function() {};
+
+      emitter.on('order.eu.created', listener1);
+      emitter.on(/^order\./, listener2);
+      emitter.on('order.*.created', listener3);
+      emitter.on('order.*', function() {});
+
+      expect(emitter.matchingListeners('order.eu.created')).to.eql([listener1,
+        listener2, listener3]);
+    });
+  });
+
+  describe('template patterns', function() {
+    beforeEach(function() {
+      emitter = new PatternEmitter({templates: true});
+    });
+
+    it('treats strings with parameters as literal events by default', function() {
+      emitter = new PatternEmitter();
+      emitter.on('user/:id', function() {});
+
+      expect(emitter._events).to.have.key('user/:id');
+      expect(emitter._patternEvents).to.eql({});
+    });
+
+    it('throws a TypeError if a parameter is repeated', function() {
+      expect(function() {
+        emitter.on('a/:id/:id', function() {});
+      }).to.throwException(function(err) {
+        expect(err).to.be.a(TypeError);
+        expect(err.message).to.contain('repeats parameter id');
+      });
+      expect(emitter._patternEvents).to.eql({});
+    });
+
+    it("doesn't treat colons within a segment as parameters", function() {
+      emitter.on('user:created', function() {});
+
+      expect(emitter._events).to.have.key('user:created');
+      expect(emitter._patternEvents).to.eql({});
+    });
+
+    it('passes the named parameters in the context', function() {
+      var params;
+      emitter.on('user/:id/:action', function(ctx) {
+        params = ctx.params;
+      });
+
+      emitter.emit('user/42/updated');
+
+      expect(params.id).to.be('42');
+      expect(params.action).to.be('updated');
+    });
+
+    it('matches a single segment per parameter', function() {
+      var events = [];
+      emitter.on('user/:id', function() {
+        events.push(this.event);
+      });
+
+      emitter.emit('user/42');
+      emitter.emit('user/42/updated');
+      emitter.emit('user/');
+
+      expect(events).to.eql(['user/42']);
+    });
+
+    it('uses the delimiter to separate segments if given', function() {
+      var params;
+      emitter = new PatternEmitter({templates: true, delimiter: '.'});
+      emitter.on('order.:region.*', function(ctx) {
+        params = ctx.params;
+      });
+
+      emitter.emit('order.eu.created');
+
+      expect(params.region).to.be('eu');
+    });
+
+    it('is stored, listed, counted and removed by its string', function() {
+      var template = 'user/:id/:action';
+      emitter.on(template, function() {});
+      emitter.on(template, function() {});
+
+      expect(emitter._regexes['glob:' + template]).to.be.a(RegExp);
+      expect(emitter.patternListeners(template)).to.have.length(2);
+      expect(PatternEmitter.patternListenerCount(emitter, template)).to.be(2);
+
+      emitter.removeAllListeners(template);
+      expect(emitter._patternEvents).to.be.empty();
+      expect(emitter._regexes).to.be.empty();
+    });
+  });
+
+  describe('matchers', function() {
+    var isEu = function isEu(order) {
+      return order.region === 'eu';
+    };
+
+    it('invokes listeners only if the type matches and the predicate holds', function() {
+      var events = [];
+      emitter.on({type: /^order:/, where: isEu}, function(order) {
+        events.push(this.event + ' ' + order.id);
+      });
+
+      emitter.emit('order:created', {id: 1, region: 'eu'});
+      emitter.emit('order:created', {id: 2, region: 'us'});
+      emitter.emit('user:created', {id: 3, region: 'eu'});
+
+      expect(events).to.eql(['order:created 1']);
+    });
+
+    it('invokes predicates with the arguments and context', function() {
+      var received;
+      emitter.on({type: /^order:(\w+)/, where: function() {
+        received = Array.prototype.slice.call(arguments);
+        return true;
+      }}, function() {});
+
+      emitter.emit('order:created', 'a', 'b');
+
+      expect(received.slice(0, 2)).to.eql(['a', 'b']);
+      expect(received[2].event).to.be('order:created');
+      expect(received[2].match[1]).to.be('created');
+    });
+
+    it('accepts a predicate matching any string type', function() {
+      var count = 0;
+      emitter.on(isEu, function() {
+        count++;
+      });
+
+      emitter.emit('order:created', {region: 'eu'});
+      emitter.emit('user:created', {region: 'eu'});
+      emitter.emit('user:created', {region: 'us'});
+
+      expect(count).to.be(2);
+    });
+
+    it('matches a string type exactly unless it is a pattern', function() {
+      var events = [];
+      emitter = new PatternEmitter({glob: true});
+      emitter.on({type: 'order:created', where: isEu}, function() {
+        events.push(this.event);
+      });
+      emitter.on({type: 'user:*', where: isEu}, function() {
+        events.push(this.event);
+      });
+
+      emitter.emit('order:created', {region: 'eu'});
+      emitter.emit('order:created:late', {region: 'eu'});
+      emitter.emit('user:deleted', {region: 'eu'});
+
+      expect(events).to.eql(['order:created', 'user:deleted']);
+    });
+
+    it('throws a TypeError if the type is neither a string nor a pattern', function() {
+      expect(function() {
+        emitter.on({type: Symbol('test'), where: isEu}, function() {});
+      }).to.throwException(TypeError);
+      expect(emitter._regexesCount).to.be(0);
+    });
+
+    it('are considered by matchingListeners when given arguments', function() {
+      var listener = function() {};
+      emitter.on({type: /^order:/, where: isEu}, listener);
+
+      expect(emitter.matchingListeners('order:created')).to.have.length(1);
+      expect(emitter.matchingListeners('order:created', {region: 'eu'}))
+        .to.have.length(1);
+      expect(emitter.matchingListeners('order:created', {region: 'us'}))
+        .to.have.length(0);
+    });
+
+    it('are reported as registered', function() {
+      var matcher = {type: /^order:/, where: isEu};
+      emitter.on(matcher, function() {});
+
+      expect(emitter.patterns()).to.eql([matcher]);
+      expect(emitter.eventNames()[0]).to.be(matcher);
+    });
+
+    it('are removed given an equivalent matcher', function() {
+      var listener = function() {};
+      emitter.on({type: /^order:/, where: isEu}, listener);
+      emitter.on({type: /^order:/, where: function() {}}, listener);
+      emitter.removeListener({type: /^order:/, where: isEu}, listener);
+
+      expect(emitter.patterns()).to.have.length(1);
+      expect(emitter.patterns()[0].where).not.to.be(isEu);
+
+      emitter.removeAllListeners();
+      expect(emitter._patternEvents).to.eql({});
+      expect(emitter._regexes).to.eql({});
+      expect(emitter._regexesCount).to.be(0);
+    });
+  });
+
+  describe('lists', function() {
+    it('invoke listeners once per event matching any entry', function() {
+      var events = [];
+      emitter.on([/^user:/, /created$/, 'order:paid'], function() {
+        events.push(this.event);
+      });
+
+      emitter.emit('user:created');
+      emitter.emit('order:created');
+      emitter.emit('order:paid');
+      emitter.emit('order:paid:late');
+
+      expect(events).to.eql(['user:created', 'order:created', 'order:paid']);
+    });
+
+    it("don't invoke listeners for excluded types", function() {
+      var events = [];
+      emitter = new PatternEmitter({glob: true});
+      emitter.on([/^user:/, {not: 'user:heartbeat'}, {not: 'user:debug:*'}],
+        function() {
+          events.push(this.event);
+        });
+
+      emitter.emit('user:created');
+      emitter.emit('user:heartbeat');
+      emitter.emit('user:debug:sql');
+
+      expect(events).to.eql(['user:created']);
+    });
+
+    it('match all other string types if only holding exclusions', function() {
+      var events = [];
+      emitter.on([{not: /^internal:/}], function() {
+        events.push(this.event);
+      });
+
+      emitter.emit('user:created');
+      emitter.emit('internal:tick');
+
+      expect(events).to.eql(['user:created']);
+    });
+
+    it('pass the match of the first matching entry in the context', function() {
+      var context;
+      emitter.on([/^order:(\w+)$/, /^user:(\w+)$/], function(ctx) {
+        context = ctx;
+      });
+
+      emitter.emit('user:created');
+
+      expect(context.match[1]).to.be('created');
+      expect(context.pattern).to.eql([/^order:(\w+)$/, /^user:(\w+)$/]);
+    });
+
+    it('may be the type of a matcher', function() {
+      var count = 0;
+      emitter.on({type: [/^order:/, {not: 'order:test'}], where: function(order) {
+        return order.region === 'eu';
+      }}, function() {
+        count++;
+      });
+
+      emitter.emit('order:created', {region: 'eu'});
+      emitter.emit('order:created', {region: 'us'});
+      emitter.emit('order:test', {region: 'eu'});
+
+      expect(count).to.be(1);
+    });
+
+    it('are removed given a list with the same entries', function() {
+      var listener = function() {};
+      emitter.on([/^user:/, {not: 'user:heartbeat'}], listener);
+
+      expect(emitter.listenerCount([/^user:/, {not: 'user:heartbeat'}]))
+        .to.be(1);
+
+      emitter.removeListener([/^user:/, {not: 'user:heartbeat'}], listener);
+
+      expect(emitter._patternEvents).to.eql({});
+      expect(emitter._regexes).to.eql({});
+      expect(emitter._regexesCount).to.be(0);
+    });
+
+    it("don't share a key with lists having the same label", function() {
+      var counts = [0, 0, 0, 0];
+      var count = function(i) {
+        return function() {
+          counts[i]++;
+        };
+      };
+
+      emitter.on(['a, b'], count(0));
+      emitter.on(['a', 'b'], count(1));
+      emitter.on(['/^x/'], count(2));
+      emitter.on([/^x/], count(3));
+
+      emitter.emit('a, b');
+      emitter.emit('b');
+      emitter.emit('/^x/');
+      emitter.emit('xyz');
+
+      expect(counts).to.eql([1, 1, 1, 1]);
+      expect(emitter.patterns()).to.have.length(4);
+    });
+
+    it('throw a TypeError if empty or holding an invalid entry', function() {
+      expect(function() {
+        emitter.on([], function() {});
+      }).to.throwException(TypeError);
+
+      expect(function() {
+        emitter.on([/^user:/, Symbol('test')], function() {});
+      }).to.throwException(TypeError);
+    });
   });
 
   describe('prototype.emit', function() {
+    it('notifies errorMonitor listeners without recording the event', function() {
+      var monitored = [];
+      var used = [];
+      emitter = new PatternEmitter({historySize: 1, stats: true});
+      emitter.use(/.*/, function(event, next) {
+        used.push(event.type);
+        next();
+      });
+      emitter.on(EventEmitter.errorMonitor, function(err) {
+        monitored.push(err.message);
+      });
+      emitter.on('error', function() {});
+
+      emitter.emit('error', new Error('boom'));
+
+      expect(monitored).to.eql(['boom']);
+      expect(used).to.eql(['error']);
+      expect(emitter.history().map(function(event) {
+        return event.type;
+      })).to.eql(['error']);
+      expect(Object.keys(emitter.stats().types)).to.eql(['error']);
+    });
+
     it('returns false if no listeners match the event', function() {
       var invoked = false;
 
@@ -107,6 +632,60 @@ describe('PatternEmitter', function() {
       expect(event).to.eql('test');
     });
 
+    it('passes a context with the match to pattern listeners', function() {
+      var regex = /^job:(\w+):(?<status>\w+)$/;
+      var context;
+
+      emitter.on(regex, function(arg, ctx) {
+        context = ctx;
+      });
+
+      emitter.emit('job:build:done', 'arg');
+
+      expect(context.event).to.be('job:build:done');
+      expect(context.pattern).to.be(regex);
+      expect(context.match[1]).to.be('build');
+      expect(context.match.groups.status).to.be('done');
+    });
+
+    it('reports globs by their string in the context', function() {
+      var context;
+      emitter = new PatternEmitter({glob: true});
+
+      emitter.on('job:*', function(ctx) {
+        context = ctx;
+      });
+
+      emitter.emit('job:done');
+
+      expect(context.pattern).to.be('job:*');
+    });
+
+    it("doesn't pass a context to regular listeners", function() {
+      var args;
+      emitter.on(/test/, function() {});
+      emitter.on('test', function() {
+        args = Array.prototype.slice.call(arguments);
+      });
+
+      emitter.emit('test', 'arg1', 'arg2');
+
+      expect(args).to.eql(['arg1', 'arg2']);
+    });
+
+    it('creates a separate context for nested emits', function() {
+      var events = [];
+
+      emitter.on(/^outer|inner$/, function(ctx) {
+        if (ctx.event === 'outer') emitter.emit('inner');
+        events.push(ctx.event);
+      });
+
+      emitter.emit('outer');
+
+      expect(events).to.eql(['inner', 'outer']);
+    });
+
     it('invokes all matching listeners', function() {
       var x = 0;
       var y = 0;
@@ -139,293 +718,2984 @@ describe('PatternEmitter', function() {
       expect(z).to.be(2);
     });
 
-    it('can be called multiple times', function() {
-      var counter = 0;
-      emitter.on(/[t]/, function() {
-        counter++;
+    it('supports Symbol event types', function() {
+      var type = Symbol('test');
+      var args;
+
+      emitter.on(/.*/, function() {});
+      emitter.on(type, function(arg) {
+        args = Array.prototype.slice.call(arguments);
       });
 
-      emitter.emit('test');
-      expect(counter).to.be(1);
-      emitter.emit('test');
-      expect(counter).to.be(2);
+      expect(emitter.emit(type, 'arg')).to.be(true);
+      expect(args).to.eql(['arg']);
     });
-  });
 
-  describe('prototype.once', function() {
-    it('adds a listener that can be invoked at most once', function() {
-      var counter = 0;
-      var listener = function() {
-        counter++;
+    it("isn't affected by listeners added or removed while emitting", function() {
+      var invoked = [];
+      var second = function() {
+        invoked.push('second');
       };
 
-      emitter.once(/[a-z]/, listener);
-      emitter.emit('test');
+      emitter.on(/test/, function() {});
+      emitter.on('test', function() {
+        invoked.push('first');
+        emitter.removeListener('test', second);
+        emitter.on('test', function() {
+          invoked.push('added');
+        });
+      });
+      emitter.on('test', second);
+
+      emitter.emit('test');
+      expect(invoked).to.eql(['first', 'second']);
+      expect(emitter.listeners('test')).to.have.length(2);
+    });
+
+    it('removes once listeners for a type while patterns exist', function() {
+      var counter = 0;
+
+      emitter.on(/test/, function() {});
+      emitter.once('test', function() {
+        counter++;
+      });
+
+      emitter.emit('test');
       emitter.emit('test');
 
       expect(counter).to.be(1);
-      expect(emitter._patternEvents).not.to.have.key('/[a-z]/');
+      expect(emitter.listeners('test')).to.be.empty();
+    });
+
+    it('throws an unhandled error if no listener matches', function() {
+      var error = new Error('test');
+
+      emitter.on(/^e/, function() {}, {signal: AbortSignal.abort()});
+
+      expect(function() {
+        emitter.emit('error', error);
+      }).to.throwException(function(e) {
+        expect(e).to.be(error);
+      });
+    });
+
+    it('emits errors to pattern listeners matching error', function() {
+      var received;
+      var error = new Error('test');
+
+      emitter.on(/^err/, function(err) {
+        received = err;
+      });
+      emitter.emit('error', error);
+
+      expect(received).to.be(error);
+    });
+
+    it('can be called multiple times', function() {
+      var counter = 0;
+      emitter.on(/[t]/, function() {
+        counter++;
+      });
+
+      emitter.emit('test');
+      expect(counter).to.be(1);
+      emitter.emit('test');
+      expect(counter).to.be(2);
+    });
+  });
+
+  describe('matching listener cache', function() {
+    it('caches the matching listeners of emitted string events', function() {
+      var regex = /^test/;
+      var calls = 0;
+      var exec = regex.exec;
+
+      regex.exec = function() {
+        calls++;
+        return exec.apply(this, arguments);
+      };
+
+      emitter.on(regex, function() {});
+      emitter.emit('test');
+      emitter.emit('test');
+
+      expect(calls).to.be(1);
+      expect(emitter._cache.has('test')).to.be(true);
+    });
+
+    it('does not share the context between emits', function() {
+      var seen = [];
+      emitter.on(/^user\/(?<id>\d+)$/, function(ctx) {
+        seen.push(ctx.params.id + ' ' + ctx.match[1]);
+        ctx.params.id = 'MUTATED';
+        ctx.match[1] = 'MUTATED';
+      });
+
+      emitter.emit('user/42');
+      emitter.emit('user/42');
+
+      expect(seen).to.eql(['42 42', '42 42']);
+    });
+
+    it('is invalidated when adding listeners', function() {
+      var invoked = [];
+      emitter.on(/^test/, function() {});
+      emitter.emit('test');
+
+      emitter.on('test', function() {
+        invoked.push('event');
+      });
+      emitter.on(/test/, function() {
+        invoked.push('pattern');
+      });
+      emitter.emit('test');
+
+      expect(invoked).to.eql(['event', 'pattern']);
+    });
+
+    it('is invalidated when removing listeners', function() {
+      var counter = 0;
+      var listener = function() {
+        counter++;
+      };
+
+      emitter.on('test', listener);
+      emitter.on(/^test/, listener);
+      emitter.on(/^t/, listener);
+      emitter.emit('test');
+
+      emitter.removeListener('test', listener);
+      emitter.emit('test');
+      emitter.removeListener(/^test/, listener);
+      emitter.emit('test');
+      emitter.removeAllListeners(/^t/);
+      emitter.emit('test');
+
+      expect(counter).to.be(6);
+    });
+
+    it('is invalidated when a once listener fires', function() {
+      var counter = 0;
+      emitter.once(/^test/, function() {
+        counter++;
+      });
+
+      emitter.emit('test');
+      emitter.emit('test');
+
+      expect(counter).to.be(1);
+    });
+
+    it('only invalidates the types matching a modified pattern', function() {
+      emitter.on(/^test/, function() {});
+      emitter.emit('test');
+      emitter.emit('other');
+
+      emitter.on(/^t/, function() {});
+
+      expect(emitter._cache.has('test')).to.be(false);
+      expect(emitter._cache.has('other')).to.be(true);
+    });
+
+    it('evicts the least recently used type once full', function() {
+      emitter = new PatternEmitter({cacheSize: 2});
+      emitter.on(/.*/, function() {});
+
+      emitter.emit('a');
+      emitter.emit('b');
+      emitter.emit('a');
+      emitter.emit('c');
+
+      expect(Array.from(emitter._cache.keys())).to.eql(['a', 'c']);
+    });
+
+    it('can be disabled with a cacheSize of 0', function() {
+      var invoked = false;
+      emitter = new PatternEmitter({cacheSize: 0});
+      emitter.on(/.*/, function() {
+        invoked = true;
+      });
+
+      emitter.emit('test');
+
+      expect(emitter._cache).to.be(null);
+      expect(invoked).to.be(true);
+    });
+  });
+
+  describe('pattern index', function() {
+    it('only tests patterns whose literal prefix starts the type', function() {
+      var tested = [];
+      [/^user:/, /^metrics:/, /created$/].forEach(function(regex) {
+        var exec = regex.exec;
+        regex.exec = function() {
+          tested.push(String(regex));
+          return exec.apply(this, arguments);
+        };
+
+        emitter.on(regex, function() {});
+      });
+
+      emitter.emit('user:created');
+
+      expect(tested).to.eql(['/^user:/', '/created$/']);
+    });
+
+    it('preserves the order in which patterns were added', function() {
+      var order = [];
+      emitter.on(/^user:created/, function() {
+        order.push(1);
+      });
+      emitter.on(/created/, function() {
+        order.push(2);
+      });
+      emitter.on(/^user/, function() {
+        order.push(3);
+      });
+
+      emitter.emit('user:created');
+
+      expect(order).to.eql([1, 2, 3]);
+    });
+
+    it('removes patterns once they have no listeners', function() {
+      var listener = function() {};
+      emitter.on(/^user:/, listener);
+      emitter.removeListener(/^user:/, listener);
+
+      expect(emitter._index.candidates('user:created')).to.eql([]);
+    });
+  });
+
+  describe('listener order', function() {
+    var order;
+    var push = function(value) {
+      return function() {
+        order.push(value);
+      };
+    };
+
+    beforeEach(function() {
+      order = [];
+    });
+
+    it('invokes listeners in the order they were registered', function() {
+      emitter.on(/^test/, push(1));
+      emitter.on('test', push(2));
+      emitter.on(/t/, push(3));
+      emitter.on(/^test/, push(4));
+      emitter.on('test', push(5));
+
+      emitter.emit('test');
+
+      expect(order).to.eql([1, 2, 3, 4, 5]);
+    });
+
+    it('supports types named after properties of Object.prototype',
+        function() {
+      emitter.on('toString', push(1));
+      emitter.on('toString', push(2), {priority: 1});
+      emitter.on('constructor', push(3));
+      emitter.on('hasOwnProperty', push(4));
+
+      emitter.emit('toString');
+      emitter.emit('constructor');
+      emitter.emit('hasOwnProperty');
+
+      expect(order).to.eql([2, 1, 3, 4]);
+    });
+
+    it('invokes listeners with a higher priority first', function() {
+      emitter.on('test', push(1));
+      emitter.on(/^test/, push(2), {priority: 10});
+      emitter.on('test', push(3), {priority: 5});
+      emitter.on(/t/, push(4), {priority: -1});
+      emitter.on(/t/, push(5), {priority: 10});
+
+      emitter.emit('test');
+
+      expect(order).to.eql([2, 5, 3, 1, 4]);
+    });
+
+    it('respects priorities without any pattern listeners', function() {
+      emitter.on('test', push(1));
+      emitter.on('test', push(2), {priority: 1});
+
+      emitter.emit('test');
+
+      expect(order).to.eql([2, 1]);
+    });
+
+    it('invokes prepended listeners before those of the same priority', function() {
+      emitter.on(/^test/, push(1));
+      emitter.on('test', push(2), {priority: 1});
+      emitter.prependListener('test', push(3));
+
+      emitter.emit('test');
+
+      expect(order).to.eql([2, 3, 1]);
+    });
+
+    it('supports prepending pattern listeners', function() {
+      emitter.on('test', push(1));
+      emitter.on(/^test/, push(2));
+      emitter.prependListener(/^test/, push(3));
+      emitter.prependOnceListener(/t/, push(4));
+
+      emitter.emit('test');
+      emitter.emit('test');
+
+      expect(order).to.eql([4, 3, 1, 2, 3, 1, 2]);
+      expect(emitter._regexesCount).to.be(2);
+    });
+
+    it('is reported by matchingListeners', function() {
+      var listener1 = function() {};
+      var listener2 = function() {};
+      var listener3 = function() {};
+
+      emitter.on(/^test/, listener1);
+      emitter.on('test', listener2);
+      emitter.on(/t/, listener3, {priority: 1});
+
+      expect(emitter.matchingListeners('test')).to.eql([listener3, listener1,
+        listener2]);
+    });
+
+    it('is maintained as listeners are removed', function() {
+      var listener = push(2);
+      emitter.on('test', push(1));
+      emitter.on('test', listener, {priority: 1});
+      emitter.on(/^test/, listener, {priority: 2});
+      emitter.on(/^test/, push(3));
+
+      emitter.removeListener('test', listener);
+      emitter.removeListener(/^test/, listener);
+      emitter.on('test', push(4), {priority: 1});
+      emitter.emit('test');
+
+      expect(order).to.eql([4, 1, 3]);
+    });
+  });
+
+  describe('isolated listener errors', function() {
+    var failing, error;
+
+    beforeEach(function() {
+      emitter = new PatternEmitter({isolateErrors: true});
+      error = new Error('test');
+      failing = function() {
+        throw error;
+      };
+    });
+
+    it('invokes the remaining listeners after one throws', function() {
+      var invoked = [];
+
+      emitter.on('listenerError', function() {});
+      emitter.on(/^test/, failing);
+      emitter.on('test', failing);
+      emitter.on('test', function() {
+        invoked.push('type');
+      });
+      emitter.on(/t$/, function() {
+        invoked.push('pattern');
+      });
+
+      expect(emitter.emit('test')).to.be(true);
+      expect(invoked).to.eql(['type', 'pattern']);
+    });
+
+    it('emits listenerError with the type, pattern and listener', function() {
+      var regex = /^test/;
+      var received = [];
+
+      emitter.on('listenerError', function(err, details) {
+        received.push([err, details]);
+      });
+      emitter.on(regex, failing);
+      emitter.once('test', failing);
+      emitter.emit('test', 'arg');
+
+      expect(received).to.have.length(2);
+      expect(received[0][0]).to.be(error);
+      expect(received[0][1].event).to.be('test');
+      expect(received[0][1].pattern).to.be(regex);
+      expect(received[0][1].listener).to.be(failing);
+      expect(received[1][1].pattern).to.be(null);
+      expect(received[1][1].listener).to.be(failing);
+    });
+
+    it('dispatches rejections of returned promises', function(done) {
+      emitter.on(/listenerError/, function(err, details, ctx) {
+        expect(err).to.be(error);
+        expect(details.event).to.be('test');
+        expect(ctx.event).to.be('listenerError');
+        done();
+      });
+      emitter.on('test', function() {
+        return Promise.reject(error);
+      });
+
+      emitter.emit('test');
+    });
+
+    it('rethrows unhandled rejections on the next tick', function(done) {
+      var listeners = process.listeners('uncaughtException');
+
+      process.removeAllListeners('uncaughtException');
+      process.once('uncaughtException', function(err) {
+        listeners.forEach(function(listener) {
+          process.on('uncaughtException', listener);
+        });
+
+        expect(err).to.be(error);
+        done();
+      });
+
+      emitter.on('test', function() {
+        return Promise.reject(error);
+      });
+
+      expect(emitter.emit('test')).to.be(true);
+    });
+
+    it('emits an error if nothing listens for listenerError', function() {
+      var received;
+
+      emitter.on(/^err/, function(err) {
+        received = err;
+      });
+      emitter.on('test', failing);
+      emitter.emit('test');
+
+      expect(received).to.be(error);
+    });
+
+    it('rethrows unhandled errors once all listeners were invoked', function() {
+      var invoked = false;
+
+      emitter.on('test', failing);
+      emitter.on(/test/, function() {
+        invoked = true;
+      });
+
+      expect(function() {
+        emitter.emit('test');
+      }).to.throwException(function(e) {
+        expect(e).to.be(error);
+      });
+      expect(invoked).to.be(true);
+    });
+
+    it("doesn't isolate errors thrown by error listeners", function() {
+      emitter.on('error', failing);
+      emitter.on('error', function() {});
+
+      expect(function() {
+        emitter.emit('error', new Error('emitted'));
+      }).to.throwException(function(e) {
+        expect(e).to.be(error);
+      });
+    });
+
+    it('keeps the event property for the remaining listeners', function() {
+      var event;
+
+      emitter.on('listenerError', function() {});
+      emitter.on('test', failing);
+      emitter.on(/test/, function() {
+        event = this.event;
+      });
+      emitter.emit('test');
+
+      expect(event).to.be('test');
+    });
+  });
+
+  describe('prototype.use', function() {
+    it("throws a TypeError if middleware isn't a function", function() {
+      expect(function() {
+        emitter.use(/test/, 'invalid');
+      }).to.throwException(function(e) {
+        expect(e).to.be.a(TypeError);
+      });
+    });
+
+    it('invokes the predicate of a matcher with the context', function() {
+      var received = [];
+
+      emitter.use({type: /^user:(?<action>\w+)$/, where: function(user, ctx) {
+        received.push(ctx);
+        return user.admin;
+      }}, function(event) {
+        received.push(event.type);
+      });
+
+      emitter.emit('user:created', {admin: true});
+      emitter.emit('user:deleted', {admin: false});
+
+      expect(received).to.have.length(3);
+      expect(received[0].event).to.be('user:created');
+      expect(received[0].params).to.eql({action: 'created'});
+      expect(received[0].pattern.where).to.be.a('function');
+      expect(received[1]).to.be('user:created');
+      expect(received[2].params).to.eql({action: 'deleted'});
+    });
+
+    it('runs matching middleware in order before the listeners', function() {
+      var invoked = [];
+      var push = function(name) {
+        return function(event, next) {
+          invoked.push(name);
+          next();
+        };
+      };
+
+      emitter.use(/^user:/, push('pattern'));
+      emitter.use('user:created', push('type'));
+      emitter.use('user:deleted', push('other'));
+      emitter.use(/^order:/, push('other'));
+      emitter.on('user:created', function() {
+        invoked.push('listener');
+      });
+
+      expect(emitter.emit('user:created')).to.be(true);
+      expect(invoked).to.eql(['pattern', 'type', 'listener']);
+    });
+
+    it('can rewrite the type and arguments', function() {
+      var received;
+
+      emitter.use(/^user:/, function(event, next) {
+        event.type = 'tenant:' + event.type;
+        event.args = event.args.concat('acme');
+        next();
+      });
+      emitter.on(/^tenant:/, function(arg, tenant, ctx) {
+        received = [arg, tenant, ctx.event];
+      });
+
+      emitter.emit('user:created', 'arg');
+
+      expect(received).to.eql(['arg', 'acme', 'tenant:user:created']);
+    });
+
+    it('can cancel the event by not calling next', function() {
+      var invoked = false;
+
+      emitter.use(/^user:/, function(event, next) {
+        if (event.args[0] === 'authorized') next();
+      });
+      emitter.on('user:created', function() {
+        invoked = true;
+      });
+
+      expect(emitter.emit('user:created')).to.be(false);
+      expect(invoked).to.be(false);
+      expect(emitter.emit('user:created', 'authorized')).to.be(true);
+      expect(invoked).to.be(true);
+    });
+
+    it('can run code after the listeners were invoked', function() {
+      var invoked = [];
+
+      emitter.use('test', function(event, next) {
+        invoked.push('before');
+        invoked.push(next());
+        invoked.push('after');
+      });
+      emitter.on('test', function() {
+        invoked.push('listener');
+      });
+
+      emitter.emit('test');
+
+      expect(invoked).to.eql(['before', 'listener', true, 'after']);
+    });
+
+    it('throws if next is called more than once', function() {
+      emitter.use('test', function(event, next) {
+        next();
+        next();
+      });
+
+      expect(function() {
+        emitter.emit('test');
+      }).to.throwException(/multiple times/);
+    });
+
+    it('supports Symbol and glob types', function() {
+      var type = Symbol('test');
+      var invoked = [];
+
+      emitter = new PatternEmitter({glob: true});
+      emitter.use(type, function(event, next) {
+        invoked.push('symbol');
+        next();
+      });
+      emitter.use('user:*', function(event, next) {
+        invoked.push('glob');
+        next();
+      });
+
+      emitter.emit(type);
+      emitter.emit('user:created');
+
+      expect(invoked).to.eql(['symbol', 'glob']);
+    });
+  });
+
+  describe('event history', function() {
+    var now, dateNow;
+
+    beforeEach(function() {
+      emitter = new PatternEmitter({historySize: 2, historyTTL: 1000});
+      now = 0;
+      dateNow = Date.now;
+      Date.now = function() {
+        return now;
+      };
+    });
+
+    afterEach(function() {
+      Date.now = dateNow;
+    });
+
+    it("doesn't retain events unless historySize or historyTTL is set",
+        function() {
+      emitter = new PatternEmitter();
+      emitter.emit('config:db', 'url');
+
+      expect(emitter.history()).to.be.empty();
+    });
+
+    it('retains all unexpired events given only historyTTL', function() {
+      emitter = new PatternEmitter({historyTTL: 1000});
+      emitter.emit('config:db', 1);
+      emitter.emit('config:db', 2);
+      now = 600;
+      emitter.emit('config:db', 3);
+      now = 1200;
+      emitter.emit('config:db', 4);
+
+      expect(emitter.history().map(function(event) {
+        return event.args[0];
+      })).to.eql([3, 4]);
+      expect(emitter._history.get('config:db')).to.have.length(2);
+    });
+
+    it('discards types whose events expired when recording', function() {
+      var i;
+      for (i = 0; i < 50; i++) {
+        now = i * 100;
+        emitter.emit('job:' + i);
+      }
+
+      expect(Array.from(emitter._history.keys())).to.have.length(11);
+      expect(emitter._history.has('job:38')).to.be(false);
+      expect(emitter._history.has('job:39')).to.be(true);
+    });
+
+    it('evicts the least recently emitted type once historyTypes is exceeded',
+        function() {
+      emitter = new PatternEmitter({historySize: 1, historyTypes: 2});
+      emitter.emit('a');
+      emitter.emit('b');
+      emitter.emit('a');
+      emitter.emit('c');
+
+      expect(emitter.history().map(function(event) {
+        return event.type;
+      })).to.eql(['a', 'c']);
+    });
+
+    it('retains the most recent events per type', function() {
+      emitter.emit('config:db', 1);
+      emitter.emit('config:db', 2);
+      emitter.emit('ready:db');
+      emitter.emit('config:db', 3);
+
+      expect(emitter.history('config:db')).to.eql([
+        {type: 'config:db', args: [2], timestamp: 0},
+        {type: 'config:db', args: [3], timestamp: 0}
+      ]);
+      expect(emitter.history()).to.have.length(3);
+    });
+
+    it('returns events matching a pattern from oldest to newest', function() {
+      emitter.emit('config:db', 1);
+      emitter.emit('ready:db');
+      emitter.emit('config:cache', 2);
+
+      expect(emitter.history(/^config:/).map(function(event) {
+        return event.type;
+      })).to.eql(['config:db', 'config:cache']);
+    });
+
+    it('discards events once they expire', function() {
+      emitter.emit('config:db', 1);
+      now = 600;
+      emitter.emit('config:db', 2);
+      now = 1200;
+
+      expect(emitter.history(/^config:/)).to.eql([
+        {type: 'config:db', args: [2], timestamp: 600}
+      ]);
+    });
+
+    it('replays matching events to pattern listeners with replay', function() {
+      var received = [];
+      var regex = /^config:(?<name>\w+)$/;
+
+      emitter.emit('config:db', 'url');
+      emitter.emit('ready:db');
+      emitter.emit('config:cache', 'size');
+
+      emitter.on(regex, function(arg, ctx) {
+        received.push([this.event, arg, ctx.pattern, ctx.params.name]);
+      }, {replay: true});
+
+      expect(received).to.eql([
+        ['config:db', 'url', regex, 'db'],
+        ['config:cache', 'size', regex, 'cache']
+      ]);
+    });
+
+    it('replays events of the type to listeners with replay', function() {
+      var received = [];
+
+      emitter.emit('ready', 1);
+      emitter.emit('other');
+      emitter.on('ready', function(arg) {
+        received.push(arg);
+      }, {replay: true});
+      emitter.on('ready', function() {
+        received.push('not replayed');
+      });
+
+      expect(received).to.eql([1]);
+    });
+
+    it('only replays an event once to a once listener', function() {
+      var counter = 0;
+
+      emitter.emit('config:db');
+      emitter.emit('config:cache');
+      emitter.once(/^config:/, function() {
+        counter++;
+      }, {replay: true});
+
+      expect(counter).to.be(1);
+      expect(emitter.listenerCount(/^config:/)).to.be(0);
+    });
+
+    it("doesn't retain newListener and removeListener events", function() {
+      var listener = function() {};
+
+      emitter.on('newListener', listener);
+      emitter.on('removeListener', listener);
+      emitter.off('test', listener);
+
+      expect(emitter.history()).to.be.empty();
+    });
+
+    it('clears history matching the type or pattern', function() {
+      emitter.emit('config:db');
+      emitter.emit('config:cache');
+      emitter.emit('ready:db');
+
+      emitter.clearHistory('config:db');
+      expect(emitter.history()).to.have.length(2);
+
+      emitter.clearHistory(/^config:/);
+      expect(emitter.history()).to.have.length(1);
+
+      expect(emitter.clearHistory()).to.be(emitter);
+      expect(emitter.history()).to.be.empty();
+    });
+  });
+
+  describe('prototype.setTracer', function() {
+    var traces;
+
+    beforeEach(function() {
+      traces = [];
+      emitter.setTracer(function(trace) {
+        traces.push(trace);
+      });
+    });
+
+    it("throws a TypeError if tracer isn't a function or null", function() {
+      expect(function() {
+        emitter.setTracer('invalid');
+      }).to.throwException(function(e) {
+        expect(e).to.be.a(TypeError);
+      });
+    });
+
+    it('reports each tested pattern and whether it matched', function() {
+      var regex1 = /^user:/;
+      var regex2 = /created$/;
+
+      emitter.on(regex1, function() {});
+      emitter.on(regex2, function() {});
+      emitter.on(/^order:/, function() {});
+      emitter.emit('user:updated', 'arg');
+
+      expect(traces).to.have.length(1);
+      expect(traces[0].event).to.be('user:updated');
+      expect(traces[0].args).to.eql(['arg']);
+      expect(traces[0].patterns).to.have.length(2);
+      expect(traces[0].patterns[0].pattern).to.be(regex1);
+      expect(traces[0].patterns[0].matched).to.be(true);
+      expect(traces[0].patterns[1].pattern).to.be(regex2);
+      expect(traces[0].patterns[1].matched).to.be(false);
+    });
+
+    it('reports patterns tested even if the listeners were cached', function() {
+      emitter.on(/^user:/, function() {});
+      emitter.emit('user:created');
+      emitter.emit('user:created');
+
+      expect(traces[1].patterns).to.have.length(1);
+    });
+
+    it('reports the invoked listeners and their durations', function() {
+      var regex = /^user:/;
+      var listener1 = function() {};
+      var listener2 = function() {};
+
+      emitter.on(regex, listener1);
+      emitter.once('user:created', listener2);
+      emitter.emit('user:created');
+
+      expect(traces[0].listeners).to.have.length(2);
+      expect(traces[0].listeners[0].listener).to.be(listener1);
+      expect(traces[0].listeners[0].pattern).to.be(regex);
+      expect(traces[0].listeners[0].duration).to.be.a('number');
+      expect(traces[0].listeners[1].listener).to.be(listener2);
+      expect(traces[0].listeners[1].pattern).to.be(null);
+      expect(traces[0].duration).to.be.a('number');
+    });
+
+    it('traces emits that throw', function() {
+      var error = new Error('test');
+
+      emitter.on('test', function() {
+        throw error;
+      });
+
+      expect(function() {
+        emitter.emit('test');
+      }).to.throwException(error);
+      expect(traces[0].error).to.be(error);
+      expect(traces[0].listeners).to.have.length(1);
+    });
+
+    it('traces isolated listeners', function() {
+      emitter = new PatternEmitter({isolateErrors: true});
+      emitter.setTracer(function(trace) {
+        traces.push(trace);
+      });
+      emitter.on('listenerError', function() {});
+      emitter.on(/test/, function() {
+        throw new Error('test');
+      });
+      emitter.on('test', function() {});
+      emitter.emit('test');
+
+      expect(traces[1].event).to.be('test');
+      expect(traces[1].listeners).to.have.length(2);
+    });
+
+    it('can be disabled with null', function() {
+      emitter.setTracer(null);
+      emitter.on(/test/, function() {});
+      emitter.emit('test');
+
+      expect(traces).to.be.empty();
+    });
+
+    it('logs traces to stderr with NODE_DEBUG', function() {
+      var script = "var PatternEmitter = require('./lib/patternEmitter');" +
+        "var emitter = new PatternEmitter();" +
+        "emitter.on(/^user:/, function onUser() {});" +
+        "emitter.emit('user:created');";
+      var result = require('child_process').spawnSync(process.execPath,
+        ['-e', script], {
+          cwd: require('path').resolve(__dirname, '..'),
+          env: Object.assign({}, process.env, {NODE_DEBUG: 'pattern-emitter'})
+        });
+      var output = String(result.stderr);
+
+      expect(output).to.contain('emit user:created: 1 listener(s)');
+      expect(output).to.contain('matched /^user:/');
+      expect(output).to.contain('invoked onUser for /^user:/');
+    });
+  });
+
+  describe('statistics', function() {
+    beforeEach(function() {
+      emitter = new PatternEmitter({stats: true});
+    });
+
+    it("aren't gathered unless the stats option is set", function() {
+      emitter = new PatternEmitter();
+      emitter.on(/test/, function() {});
+      emitter.emit('test');
+
+      expect(emitter.stats()).to.eql({types: {}, patterns: {}});
+    });
+
+    it('count emits and matches for each event type', function() {
+      emitter.on('user:created', function() {});
+      emitter.emit('user:created');
+      emitter.emit('user:created');
+      emitter.emit('user:deleted');
+
+      expect(emitter.stats().types['user:created'].emits).to.be(2);
+      expect(emitter.stats().types['user:created'].matches).to.be(2);
+      expect(emitter.stats().types['user:deleted'].emits).to.be(1);
+      expect(emitter.stats().types['user:deleted'].matches).to.be(0);
+    });
+
+    it('count tests and matches for each pattern', function() {
+      emitter.on(/^user:/, function() {});
+      emitter.on(/created$/, function() {});
+      emitter.emit('user:created');
+      emitter.emit('user:deleted');
+
+      expect(emitter.stats().patterns).to.eql({
+        '/^user:/': {emits: 2, matches: 2, invocations: 2, errors: 0,
+          duration: emitter.stats().patterns['/^user:/'].duration},
+        '/created$/': {emits: 2, matches: 1, invocations: 1, errors: 0,
+          duration: emitter.stats().patterns['/created$/'].duration}
+      });
+    });
+
+    it('count listener invocations, errors and durations', function() {
+      emitter.on('test', function() {});
+      emitter.on(/test/, function() {
+        throw new Error('test');
+      });
+
+      expect(function() {
+        emitter.emit('test');
+      }).to.throwException();
+
+      var stats = emitter.stats();
+      expect(stats.types.test.invocations).to.be(2);
+      expect(stats.types.test.errors).to.be(1);
+      expect(stats.types.test.duration).to.be.a('number');
+      expect(stats.patterns['/test/'].invocations).to.be(1);
+      expect(stats.patterns['/test/'].errors).to.be(1);
+    });
+
+    it('returns a snapshot that can be serialized', function() {
+      var stats;
+
+      emitter.on(/test/, function() {});
+      emitter.emit('test');
+      stats = emitter.stats();
+      emitter.emit('test');
+
+      expect(stats.types.test.emits).to.be(1);
+      expect(JSON.parse(JSON.stringify(stats))).to.eql(stats);
+    });
+
+    it('can be reset', function() {
+      emitter.emit('test');
+
+      expect(emitter.resetStats()).to.be(emitter);
+      expect(emitter.stats()).to.eql({types: {}, patterns: {}});
+    });
+
+    it('can be exported in Prometheus text format', function() {
+      var output;
+
+      emitter.on(/^user:"/, function() {});
+      emitter.emit('user:"created"');
+      output = emitter.prometheusStats('app');
+
+      expect(output).to.contain('# TYPE app_emits_total counter\n');
+      expect(output).to.contain('app_emits_total{type="user:\\"created\\""} 1\n');
+      expect(output).to.contain('app_pattern_matches_total{pattern="/^user:\\"/"} 1\n');
+      expect(emitter.prometheusStats()).to.contain('pattern_emitter_emits_total');
+    });
+  });
+
+  describe('leak warnings', function() {
+    var emitWarning, warnings;
+
+    beforeEach(function() {
+      emitWarning = process.emitWarning;
+      warnings = [];
+      process.emitWarning = function(warning) {
+        warnings.push(warning);
+      };
+    });
+
+    afterEach(function() {
+      process.emitWarning = emitWarning;
+    });
+
+    it('are emitted once the listeners of an event exceed the max', function() {
+      emitter.setMaxListeners(2);
+      emitter.on('test', function() {});
+      emitter.on('test', function() {});
+      expect(warnings).to.have.length(0);
+
+      emitter.on('test', function() {});
+      emitter.on('test', function() {});
+
+      expect(warnings).to.have.length(1);
+      expect(warnings[0].name).to.be('MaxListenersExceededWarning');
+      expect(warnings[0].emitter).to.be(emitter);
+      expect(warnings[0].type).to.be('test');
+      expect(warnings[0].count).to.be(3);
+      expect(warnings[0].patterns).to.eql([]);
+    });
+
+    it('count the listeners of patterns matching the event', function() {
+      emitter.setMaxListeners(2);
+      emitter.on('user:created', function() {});
+      emitter.on(/^user:/, function() {});
+      emitter.on(/created$/, function() {});
+
+      expect(warnings).to.have.length(1);
+      expect(warnings[0].type).to.be('user:created');
+      expect(warnings[0].count).to.be(3);
+      expect(warnings[0].patterns).to.eql(['/^user:/', '/created$/']);
+      expect(warnings[0].message).to.contain('including those of ' +
+        '/^user:/, /created$/');
+    });
+
+    it('check event types that were emitted', function() {
+      emitter.setMaxListeners(1);
+      emitter.on(/^user:/, function() {});
+      emitter.emit('user:created');
+      expect(warnings).to.have.length(0);
+
+      emitter.on(/created$/, function() {});
+
+      expect(warnings).to.have.length(1);
+      expect(warnings[0].type).to.be('user:created');
+    });
+
+    it('are emitted once the listeners of a pattern exceed the max', function() {
+      emitter.setMaxListeners(1);
+      emitter.on(/^user:/, function() {});
+      emitter.on(/^user:/, function() {});
+
+      expect(warnings).to.have.length(1);
+      expect(warnings[0].type).to.eql(/^user:/);
+      expect(warnings[0].patterns).to.eql(['/^user:/']);
+    });
+
+    it('include a stack trace of the registration', function() {
+      emitter.setMaxListeners(1);
+      (function registerListeners() {
+        emitter.on('test', function() {});
+        emitter.on('test', function() {});
+      }());
+
+      expect(warnings[0].stack).to.contain('registerListeners');
+    });
+
+    it("aren't emitted if the max is 0", function() {
+      emitter.setMaxListeners(0);
+      for (var i = 0; i < 20; i++) {
+        emitter.on(/^user:/, function() {});
+      }
+
+      expect(warnings).to.have.length(0);
+    });
+
+    it('are emitted once distinct patterns exceed getMaxPatterns', function() {
+      emitter.setMaxPatterns(2);
+      emitter.on(/^user:1:/, function() {});
+      emitter.on(/^user:2:/, function() {});
+      expect(warnings).to.have.length(0);
+
+      emitter.on(/^user:3:/, function() {});
+      emitter.on(/^user:4:/, function() {});
+
+      expect(warnings).to.have.length(1);
+      expect(warnings[0].name).to.be('MaxPatternsExceededWarning');
+      expect(warnings[0].count).to.be(3);
+      expect(warnings[0].patterns).to.eql(['/^user:1:/', '/^user:2:/',
+        '/^user:3:/']);
+      expect(warnings[0].message).to.contain('the latest being /^user:3:/');
+    });
+
+    it('default to PatternEmitter.defaultMaxPatterns', function() {
+      expect(emitter.getMaxPatterns()).to.be(100);
+      expect(emitter.setMaxPatterns(0)).to.be(emitter);
+      expect(emitter.getMaxPatterns()).to.be(0);
+    });
+
+    it('throw a RangeError given an invalid max number of patterns', function() {
+      expect(function() {
+        emitter.setMaxPatterns(-1);
+      }).to.throwException(RangeError);
+    });
+  });
+
+  describe('prototype.broadcast', function() {
+    it('invokes the listeners of each event type matching the pattern', function() {
+      var events = [];
+      emitter.on('cache:users', function(key) {
+        events.push([this.event, key]);
+      });
+      emitter.on('cache:orders', function(key) {
+        events.push([this.event, key]);
+      });
+      emitter.on('db:users', function() {
+        events.push([this.event]);
+      });
+
+      expect(emitter.broadcast(/^cache:/, 'all')).to.be(true);
+      expect(events).to.eql([['cache:users', 'all'], ['cache:orders', 'all']]);
+    });
+
+    it("doesn't emit to the emitter's own event types", function() {
+      var events = [];
+      var listener = function() {
+        events.push(this.event);
+      };
+
+      emitter = new PatternEmitter({isolateErrors: true});
+      ['newListener', 'removeListener', 'error', 'listenerError',
+        'listening'].forEach(function(type) {
+        emitter.on(type, listener);
+      });
+      events = [];
+
+      expect(emitter.broadcast(/^(new|remove|error|listen)/)).to.be(true);
+      expect(events).to.eql(['listening']);
+    });
+
+    it('invokes matching pattern listeners once, with the first type', function() {
+      var contexts = [];
+      emitter.on('cache:users', function() {});
+      emitter.on('cache:orders', function() {});
+      emitter.on(/:(users|orders)$/, function(ctx) {
+        contexts.push(ctx.event + ' ' + ctx.match[1]);
+      });
+
+      emitter.broadcast(/^cache:/);
+
+      expect(contexts).to.eql(['cache:users users']);
+    });
+
+    it('invokes listeners registered twice to a type twice', function() {
+      var count = 0;
+      var listener = function() {
+        count++;
+      };
+      emitter.on('cache:users', listener);
+      emitter.on('cache:users', listener);
+      emitter.on('cache:orders', listener);
+
+      emitter.broadcast(/^cache:/);
+
+      expect(count).to.be(3);
+    });
+
+    it('accepts globs', function() {
+      var events = [];
+      emitter = new PatternEmitter({glob: true});
+      emitter.on('cache:users', function() {
+        events.push(this.event);
+      });
+
+      emitter.broadcast('cache:*');
+
+      expect(events).to.eql(['cache:users']);
+    });
+
+    it('isolates errors thrown by listeners given isolateErrors', function() {
+      var events = [];
+      var errors = [];
+      emitter = new PatternEmitter({isolateErrors: true});
+      emitter.on('cache:users', function() {
+        throw new Error('boom');
+      });
+      emitter.on('cache:orders', function() {
+        events.push(this.event);
+      });
+      emitter.on('listenerError', function(err, details) {
+        errors.push([err.message, details.event]);
+      });
+
+      expect(emitter.broadcast(/^cache:/)).to.be(true);
+      expect(events).to.eql(['cache:orders']);
+      expect(errors).to.eql([['boom', 'cache:users']]);
+    });
+
+    it('traces and counts the emit of each type', function() {
+      var traces = [];
+      emitter = new PatternEmitter({stats: true});
+      emitter.setTracer(function(trace) {
+        traces.push(trace.event + ' ' + trace.listeners.length);
+      });
+      emitter.on('cache:users', function() {});
+      emitter.on('cache:orders', function() {});
+      emitter.on(/^cache:/, function() {});
+
+      emitter.broadcast(/^cache:/);
+
+      expect(traces).to.eql(['cache:users 2', 'cache:orders 1']);
+      expect(emitter.stats().types['cache:orders'].invocations).to.be(1);
+      expect(emitter.stats().patterns['/^cache:/'].invocations).to.be(1);
+    });
+
+    it('returns false if no event types match', function() {
+      emitter.on('db:users', function() {});
+      emitter.on(/^cache:/, function() {});
+
+      expect(emitter.broadcast(/^cache:/)).to.be(false);
+    });
+
+    it('throws a TypeError if not given a pattern', function() {
+      expect(function() {
+        emitter.broadcast('cache:users');
+      }).to.throwException(TypeError);
+    });
+  });
+
+  describe('prototype.emitAsync', function() {
+    var delay = function(ms, value) {
+      return new Promise(function(resolve) {
+        setTimeout(function() {
+          resolve(value);
+        }, ms);
+      });
+    };
+
+    it('resolves with the values of all matching listeners', function() {
+      emitter.on('test', function(arg) {
+        return delay(5, arg + 1);
+      });
+      emitter.on(/^t/, function(arg) {
+        return arg + 2;
+      });
+
+      return emitter.emitAsync('test', 1).then(function(values) {
+        expect(values).to.eql([2, 3]);
+      });
+    });
+
+    it('resolves with an empty array if no listeners match', function() {
+      return emitter.emitAsync('test').then(function(values) {
+        expect(values).to.eql([]);
+      });
+    });
+
+    it('invokes all listeners at once by default', function() {
+      var order = [];
+      emitter.on('test', function() {
+        order.push('start1');
+        return delay(5).then(function() {
+          order.push('end1');
+        });
+      });
+      emitter.on(/test/, function() {
+        order.push('start2');
+      });
+
+      return emitter.emitAsync('test').then(function() {
+        expect(order).to.eql(['start1', 'start2', 'end1']);
+      });
+    });
+
+    it('waits for each listener with the serial strategy', function() {
+      var order = [];
+      emitter = new PatternEmitter({asyncStrategy: 'serial'});
+      emitter.on('test', function() {
+        order.push('start1');
+        return delay(5).then(function() {
+          order.push('end1');
+          return 1;
+        });
+      });
+      emitter.on(/test/, function() {
+        order.push('start2');
+        return 2;
+      });
+
+      return emitter.emitAsync('test').then(function(values) {
+        expect(order).to.eql(['start1', 'end1', 'start2']);
+        expect(values).to.eql([1, 2]);
+      });
+    });
+
+    it('rejects if a listener throws or rejects', function() {
+      var error = new Error('test');
+      emitter.on(/test/, function() {
+        throw error;
+      });
+
+      return emitter.emitAsync('test').then(function() {
+        throw new Error('Expected a rejection');
+      }, function(err) {
+        expect(err).to.be(error);
+      });
+    });
+
+    it('stops invoking listeners on failure with the serial strategy', function() {
+      var invoked = false;
+      emitter = new PatternEmitter({asyncStrategy: 'serial'});
+      emitter.on('test', function() {
+        return Promise.reject(new Error('test'));
+      });
+      emitter.on('test', function() {
+        invoked = true;
+      });
+
+      return emitter.emitAsync('test').then(function() {
+        throw new Error('Expected a rejection');
+      }, function() {
+        expect(invoked).to.be(false);
+      });
+    });
+
+    it('describes each outcome with the allSettled strategy', function() {
+      var error = new Error('test');
+      emitter = new PatternEmitter({asyncStrategy: 'allSettled'});
+      emitter.on('test', function() {
+        return 1;
+      });
+      emitter.on(/test/, function() {
+        return Promise.reject(error);
+      });
+
+      return emitter.emitAsync('test').then(function(outcomes) {
+        expect(outcomes).to.eql([
+          {status: 'fulfilled', value: 1},
+          {status: 'rejected', reason: error}
+        ]);
+      });
+    });
+
+    it("emits failures as 'error' events if asyncErrors is 'emit'", function() {
+      var error = new Error('test');
+      var emitted;
+
+      emitter = new PatternEmitter({asyncErrors: 'emit'});
+      emitter.on('error', function(err) {
+        emitted = err;
+      });
+      emitter.on('test', function() {
+        return Promise.reject(error);
+      });
+      emitter.on('test', function() {
+        return 2;
+      });
+
+      return emitter.emitAsync('test').then(function(values) {
+        expect(emitted).to.be(error);
+        expect(values).to.eql([undefined, 2]);
+      });
+    });
+
+    it("rejects an 'error' event without listeners", function() {
+      var error = new Error('test');
+
+      return emitter.emitAsync('error', error).then(function() {
+        throw new Error('Expected a rejection');
+      }, function(err) {
+        expect(err).to.be(error);
+      });
+    });
+
+    it('passes the context to pattern listeners', function() {
+      emitter.on(/^job:(\w+)$/, function(arg, ctx) {
+        return ctx.match[1];
+      });
+
+      return emitter.emitAsync('job:build', 'arg').then(function(values) {
+        expect(values).to.eql(['build']);
+      });
+    });
+
+    it('runs middleware before invoking the listeners', function() {
+      emitter.use(/^test/, function(event, next) {
+        event.args[0]++;
+        next();
+      });
+      emitter.use('cancelled', function() {});
+      emitter.on('test', function(arg) {
+        return arg;
+      });
+      emitter.on('cancelled', function() {
+        return 1;
+      });
+
+      return Promise.all([
+        emitter.emitAsync('test', 1),
+        emitter.emitAsync('cancelled')
+      ]).then(function(results) {
+        expect(results).to.eql([[2], []]);
+      });
+    });
+
+    it('retains, traces and counts the event', function() {
+      var traces = [];
+
+      emitter = new PatternEmitter({historySize: 1, stats: true});
+      emitter.setTracer(function(trace) {
+        traces.push(trace);
+      });
+      emitter.on(/^test/, function() {
+        return 1;
+      });
+
+      return emitter.emitAsync('test', 'arg').then(function() {
+        expect(emitter.history('test')).to.have.length(1);
+        expect(traces).to.have.length(1);
+        expect(traces[0].listeners).to.have.length(1);
+        expect(emitter.stats().types.test.invocations).to.be(1);
+      });
+    });
+
+    it('delivers the event to namespaces after its own listeners', function() {
+      var billing = emitter.namespace('billing');
+
+      billing.on('paid', function(arg) {
+        return 'child:' + arg;
+      });
+      emitter.on('billing:paid', function(arg) {
+        return 'parent:' + arg;
+      });
+
+      return emitter.emitAsync('billing:paid', 1).then(function(values) {
+        expect(values).to.eql(['parent:1', 'child:1']);
+      });
+    });
+
+    it('throws a TypeError given an unknown strategy', function() {
+      var invalidCall = function() {
+        new PatternEmitter({asyncStrategy: 'invalid'});
+      };
+
+      expect(invalidCall).to.throwException(function (e) {
+        expect(e).to.be.a(TypeError);
+      });
+    });
+  });
+
+  describe('prototype.once', function() {
+    it('adds a listener that can be invoked at most once', function() {
+      var counter = 0;
+      var listener = function() {
+        counter++;
+      };
+
+      emitter.once(/[a-z]/, listener);
+      emitter.emit('test');
+      emitter.emit('test');
+
+      expect(counter).to.be(1);
+      expect(emitter._patternEvents).not.to.have.key('/[a-z]/');
+    });
+
+    it('can be removed using the original listener', function() {
+      var listener = function() {};
+
+      emitter.once(/[a-z]/, listener);
+      emitter.once('test', listener);
+      emitter.removeListener(/[a-z]/, listener);
+      emitter.removeListener('test', listener);
+
+      expect(emitter.matchingListeners('test')).to.be.empty();
+      expect(emitter._regexesCount).to.be(0);
+    });
+
+    it('accepts the same options as addListener', function() {
+      var invoked = [];
+
+      emitter.once('test', function() {
+        invoked.push('low');
+      });
+      emitter.once(/test/, function() {
+        invoked.push('high');
+      }, {priority: 1});
+      emitter.emit('test');
+
+      expect(invoked).to.eql(['high', 'low']);
+    });
+
+    it("throws a TypeError if listener isn't a function", function() {
+      expect(function() {
+        emitter.once(/test/, 'invalid');
+      }).to.throwException(function(e) {
+        expect(e).to.be.a(TypeError);
+      });
+    });
+  });
+
+  describe('prototype.prependOnceListener', function() {
+    it('prepends a listener that can be invoked at most once', function() {
+      var invoked = [];
+
+      emitter.on('test', function() {
+        invoked.push('first');
+      });
+      emitter.prependOnceListener('test', function() {
+        invoked.push('prepended');
+      });
+      emitter.emit('test');
+      emitter.emit('test');
+
+      expect(invoked).to.eql(['prepended', 'first', 'first']);
+    });
+  });
+
+  describe('signal option', function() {
+    var controller;
+
+    beforeEach(function() {
+      controller = new AbortController();
+    });
+
+    it('removes type and pattern listeners once aborted', function() {
+      var listener = function() {};
+
+      emitter.on('test', listener, {signal: controller.signal});
+      emitter.on(/test/, listener, {signal: controller.signal});
+      controller.abort();
+
+      expect(emitter.matchingListeners('test')).to.be.empty();
+      expect(emitter._patternEvents).to.be.empty();
+      expect(emitter._regexesCount).to.be(0);
+    });
+
+    it('only removes the registration given the signal', function() {
+      var calls = [];
+      var listener = function() {
+        calls.push(this.event);
+      };
+
+      emitter.on('x', listener, {signal: controller.signal, priority: 5});
+      emitter.on('x', listener);
+      emitter.on(/x/, listener, {signal: controller.signal, throttle: 5});
+      emitter.on(/x/, listener);
+      controller.abort();
+
+      expect(emitter.rawListeners('x')).to.eql([listener]);
+      expect(emitter.rawListeners(/x/)).to.eql([listener]);
+      expect(emitter._ranks.x[0].priority).to.be(0);
+
+      emitter.emit('x');
+      expect(calls).to.eql(['x', 'x']);
+    });
+
+    it("doesn't add the listener if already aborted", function() {
+      controller.abort();
+      emitter.on(/test/, function() {}, {signal: controller.signal});
+      emitter.once('test', function() {}, {signal: controller.signal});
+
+      expect(emitter.matchingListeners('test')).to.be.empty();
+      expect(emitter._regexesCount).to.be(0);
+    });
+
+    it('removes a once listener that has yet to be invoked', function() {
+      var invoked = false;
+
+      emitter.once(/test/, function() {
+        invoked = true;
+      }, {signal: controller.signal});
+      controller.abort();
+      emitter.emit('test');
+
+      expect(invoked).to.be(false);
+      expect(emitter._regexesCount).to.be(0);
+    });
+
+    it('stops listening to the signal once the listener is removed', function() {
+      var listener = function() {};
+      var other = function() {};
+
+      emitter.on(/test/, listener, {signal: controller.signal});
+      emitter.on(/test/, other);
+      emitter.removeListener(/test/, listener);
+      emitter.on(/test/, listener);
+      controller.abort();
+
+      expect(emitter.matchingListeners('test')).to.have.length(2);
+      expect(emitter._regexesCount).to.be(2);
+    });
+  });
+
+  describe('rate limiting', function() {
+    var values;
+
+    beforeEach(function() {
+      values = [];
+    });
+
+    it('throttles listeners, invoking them with the latest arguments', function(done) {
+      emitter.on(/^metrics:/, function(value) {
+        values.push(value);
+      }, {throttle: 20});
+
+      emitter.emit('metrics:cpu', 1);
+      emitter.emit('metrics:cpu', 2);
+      emitter.emit('metrics:cpu', 3);
+      expect(values).to.eql([1]);
+
+      setTimeout(function() {
+        expect(values).to.eql([1, 3]);
+        done();
+      }, 30);
+    });
+
+    it('debounces listeners until events stop', function(done) {
+      emitter.on('metrics:cpu', function(value) {
+        values.push(value);
+      }, {debounce: 10});
+
+      emitter.emit('metrics:cpu', 1);
+      emitter.emit('metrics:cpu', 2);
+      expect(values).to.eql([]);
+
+      setTimeout(function() {
+        expect(values).to.eql([2]);
+        done();
+      }, 30);
+    });
+
+    it('limits each event type separately given a key of type', function(done) {
+      emitter.on(/^metrics:/, function(value, ctx) {
+        values.push(ctx.event + ' ' + value);
+      }, {debounce: 10, key: 'type'});
+
+      emitter.emit('metrics:cpu', 1);
+      emitter.emit('metrics:mem', 2);
+      emitter.emit('metrics:cpu', 3);
+
+      setTimeout(function() {
+        expect(values.sort()).to.eql(['metrics:cpu 3', 'metrics:mem 2']);
+        done();
+      }, 30);
+    });
+
+    it('groups events by the value returned by a key function', function(done) {
+      emitter.on('metrics', function(host, value) {
+        values.push(host + ' ' + value);
+      }, {debounce: 10, key: function(host) {
+        return host;
+      }});
+
+      emitter.emit('metrics', 'a', 1);
+      emitter.emit('metrics', 'b', 2);
+      emitter.emit('metrics', 'a', 3);
+
+      setTimeout(function() {
+        expect(values.sort()).to.eql(['a 3', 'b 2']);
+        done();
+      }, 30);
+    });
+
+    it('batches events once the size is reached', function() {
+      emitter.on(/^metrics:/, function(events) {
+        values.push(events);
+      }, {batch: {size: 2}});
+
+      emitter.emit('metrics:cpu', 1);
+      emitter.emit('metrics:mem', 2);
+      emitter.emit('metrics:cpu', 3);
+
+      expect(values).to.eql([[
+        {type: 'metrics:cpu', args: [1]},
+        {type: 'metrics:mem', args: [2]}
+      ]]);
+    });
+
+    it('batches events once the interval elapses', function(done) {
+      emitter.on('metrics:cpu', function(events) {
+        values.push(events.length);
+      }, {batch: {size: 100, interval: 10}});
+
+      emitter.emit('metrics:cpu', 1);
+      emitter.emit('metrics:cpu', 2);
+      expect(values).to.eql([]);
+
+      setTimeout(function() {
+        expect(values).to.eql([2]);
+        done();
+      }, 30);
+    });
+
+    it('delivers pending batches once removed', function() {
+      var listener = function(events) {
+        values.push(events.length);
+      };
+      emitter.on('metrics:cpu', listener, {batch: {interval: 1000}});
+      emitter.emit('metrics:cpu', 1);
+
+      emitter.removeListener('metrics:cpu', listener);
+
+      expect(values).to.eql([1]);
+      expect(emitter.listenerCount('metrics:cpu')).to.be(0);
+    });
+
+    it('removes a batched listener that throws while delivering', function() {
+      var error = new Error('test');
+      var errors = [];
+      var removed = [];
+      var listener = function() {
+        throw error;
+      };
+
+      emitter.on('error', function(err) {
+        errors.push(err);
+      });
+      emitter.on('removeListener', function(type) {
+        removed.push(type);
+      });
+      emitter.on(/^metrics:/, listener, {batch: {interval: 1000}});
+      emitter.emit('metrics:cpu', 1);
+
+      emitter.removeListener(/^metrics:/, listener);
+
+      expect(errors).to.eql([error]);
+      expect(removed).to.eql([/^metrics:/]);
+      expect(emitter._regexesCount).to.be(0);
+      expect(emitter._regexes).to.be.empty();
+      expect(emitter.listenerCount('metrics:cpu')).to.be(0);
+    });
+
+    it('removes all listeners before delivering pending batches', function() {
+      var error = new Error('test');
+
+      emitter.on(/^metrics:/, function() {
+        throw error;
+      }, {batch: {interval: 1000}});
+      emitter.emit('metrics:cpu', 1);
+
+      expect(function() {
+        emitter.removeAllListeners();
+      }).to.throwException(function(e) {
+        expect(e).to.be(error);
+      });
+      expect(emitter._regexesCount).to.be(0);
+      expect(emitter.listenerCount('metrics:cpu')).to.be(0);
+    });
+
+    it('cancels pending invocations once removed', function(done) {
+      emitter.on(/^metrics:/, function(value) {
+        values.push(value);
+      }, {debounce: 10});
+      emitter.on('metrics:cpu', function(value) {
+        values.push(value);
+      }, {throttle: 10});
+
+      emitter.emit('metrics:cpu', 1);
+      emitter.emit('metrics:cpu', 2);
+      emitter.removeAllListeners();
+
+      setTimeout(function() {
+        expect(values).to.eql([1]);
+        done();
+      }, 30);
+    });
+
+    it('emits errors thrown by delayed invocations', function(done) {
+      var error = new Error('test');
+      emitter.on('error', function(err) {
+        expect(err).to.be(error);
+        done();
+      });
+      emitter.on('metrics:cpu', function() {
+        throw error;
+      }, {debounce: 5});
+
+      emitter.emit('metrics:cpu');
+    });
+
+    it('are combined with once', function(done) {
+      var listener = function(value) {
+        values.push(value);
+      };
+      emitter.once('metrics:cpu', listener, {debounce: 5});
+
+      expect(emitter.listeners('metrics:cpu')).to.eql([listener]);
+      emitter.emit('metrics:cpu', 1);
+      emitter.emit('metrics:cpu', 2);
+
+      setTimeout(function() {
+        expect(values).to.eql([2]);
+        expect(emitter.listenerCount('metrics:cpu')).to.be(0);
+        done();
+      }, 20);
+    });
+
+    it('throw a RangeError given an invalid limit', function() {
+      expect(function() {
+        emitter.on('test', function() {}, {throttle: -1});
+      }).to.throwException(RangeError);
+
+      expect(function() {
+        emitter.on('test', function() {}, {batch: {}});
+      }).to.throwException(RangeError);
+
+      expect(emitter.listenerCount('test')).to.be(0);
+    });
+  });
+
+  describe('prototype.subscribe', function() {
+    it('returns a subscription that removes the listener', function() {
+      var counter = 0;
+      var subscription = emitter.subscribe(/test/, function() {
+        counter++;
+      });
+
+      emitter.emit('test');
+      subscription.unsubscribe();
+      emitter.emit('test');
+
+      expect(counter).to.be(1);
+      expect(emitter._patternEvents).to.be.empty();
+      expect(emitter._regexesCount).to.be(0);
+    });
+
+    it('only removes its own listener for the same function', function() {
+      var listener = function() {};
+      var first = emitter.subscribe('test', listener);
+
+      emitter.subscribe('test', listener);
+      first.unsubscribe();
+
+      expect(emitter.listeners('test')).to.have.length(1);
+    });
+
+    it('can be unsubscribed more than once', function() {
+      var listener = function() {};
+      var subscription = emitter.subscribe(/test/, listener);
+
+      emitter.on(/test/, listener);
+      subscription.unsubscribe();
+      subscription.unsubscribe();
+
+      expect(emitter.patternListeners(/test/)).to.have.length(1);
+      expect(emitter._regexesCount).to.be(1);
+    });
+
+    it('can be disposed using Symbol.dispose', function() {
+      var subscription;
+
+      if (typeof Symbol.dispose !== 'symbol') return;
+
+      subscription = emitter.subscribe(/test/, function() {});
+      subscription[Symbol.dispose]();
+
+      expect(emitter._patternEvents).to.be.empty();
+    });
+
+    it('accepts the once and signal options', function() {
+      var controller = new AbortController();
+      var counter = 0;
+      var listener = function() {
+        counter++;
+      };
+
+      emitter.subscribe(/test/, listener, {once: true});
+      emitter.subscribe('test', listener, {signal: controller.signal});
+      emitter.emit('test');
+      controller.abort();
+      emitter.emit('test');
+
+      expect(counter).to.be(2);
+      expect(emitter.matchingListeners('test')).to.be.empty();
+    });
+  });
+
+  describe('prototype.addListener', function() {
+    it("throws a TypeError if listener isn't a function", function() {
+      var invalidCall = function() {
+        emitter.addListener(/test/, 'invalid');
+      };
+
+      expect(invalidCall).to.throwException(function (e) {
+        expect(e).to.be.a(TypeError);
+      });
+    });
+
+    it("calls _addListener if type isn't a RegExp", function() {
+      var invoked = false;
+      emitter._addListener = function() {
+        invoked = true;
+      };
+
+      emitter.addListener('test', function() {});
+
+      expect(invoked).to.be(true);
+    });
+
+    it("adds the listener to _events if type isn't a RegExp", function() {
+      var listener = function() {};
+      emitter.addListener('test', listener);
+
+      expect(emitter._events).to.have.key('test');
+      expect(emitter._events['test']).to.be(listener);
+    });
+
+    it('adds a pattern listener to the _patternEvents property', function() {
+      var regex = /test*/;
+      var listener = function() {};
+      emitter.addListener(regex, listener);
+
+      expect(emitter._patternEvents).to.have.key(String(regex));
+      expect(emitter._patternEvents[String(regex)]).to.be(listener);
+    });
+
+    it('creates a regex and adds it to the _regexes property', function() {
+      var regex = /test*/;
+      emitter.addListener(regex, function() {});
+
+      expect(emitter._regexes).to.have.key(String(regex));
+      expect(emitter._regexes[String(regex)]).to.be.a(RegExp);
+    });
+
+    it('handles multiple listeners', function() {
+      var regex1 = /test1*/;
+      var regex2 = /test2*/;
+
+      var listener1 = function() {};
+      var listener2 = function() {};
+
+      emitter.addListener(regex1, listener1);
+      emitter.addListener(regex2, listener2);
+
+      expect(emitter._patternEvents[String(regex1)]).to.equal(listener1);
+      expect(emitter._patternEvents[String(regex2)]).to.equal(listener2);
+    });
+
+    it('can add multiple listeners for the same pattern', function() {
+      var regex = /test*/;
+      emitter.addListener(regex, function() {});
+      emitter.addListener(regex, function() {});
+
+      expect(emitter._patternEvents[String(regex)]).to.have.length(2);
+    });
+
+    it('returns the instance of PatternEmitter', function() {
+      var returned = emitter.addListener(/test*/, function() {});
+      expect(returned).to.equal(emitter);
+    });
+  });
+
+  describe('prototype.on', function() {
+    it('is an alias for prototype.addListener', function() {
+      expect(emitter.on).to.equal(emitter.addListener);
+    });
+  });
+
+  describe('prototype.removeListener', function() {
+    var listeners;
+    var regexes = [/pattern1/, /pattern2/];
+    var keys = [String(/pattern1/), String(/pattern2/)];
+
+    beforeEach(function() {
+      listeners = [];
+
+      regexes.forEach(function(regex) {
+        var listener = function() {};
+        listeners.push(listener);
+        emitter._patternEvents[String(regex)] = listener;
+        emitter._regexes[String(regex)] = regex;
+      });
+    });
+
+    it("throws a TypeError if listener isn't a function", function() {
+      var invalidCall = function() {
+        emitter.removeListener(/test/, 'invalid');
+      };
+
+      expect(invalidCall).to.throwException(function (e) {
+        expect(e).to.be.a(TypeError);
+      });
+    });
+
+    it("calls _removeListener if type isn't a RegExp", function() {
+      var invoked = false;
+      emitter._removeListener = function() {
+        invoked = true;
+      };
+
+      emitter.removeListener('test', function() {});
+
+      expect(invoked).to.be(true);
+    });
+
+    it("removes the listener from _events if type isn't a RegExp", function() {
+      var listener = function() {};
+      emitter.addListener('test', listener);
+      emitter.removeListener('test', listener);
+
+      expect(emitter._events).not.to.have.key('test');
+    });
+
+    it("doesn't remove pattern listeners given a string type", function() {
+      var key = String(/pattern1/);
+      emitter.removeListener(key, listeners[0]);
+
+      expect(emitter._patternEvents).to.have.key(key);
+    });
+
+    it('removes the listener from the _patternEvents property', function() {
+      emitter.removeListener(regexes[0], listeners[0]);
+
+      expect(emitter._patternEvents).not.to.have.key(keys[0]);
+      expect(emitter._patternEvents[keys[1]]).to.be(listeners[1]);
+    });
+
+    it("doesn't modify other listeners for the pattern", function() {
+      emitter._patternEvents[keys[0]] = [listeners[0], listeners[1]];
+      emitter.removeListener(regexes[0], listeners[0]);
+
+      expect(emitter._patternEvents[keys[0]][0]).to.be(listeners[1]);
+    });
+
+    it('removes the regex if no other listeners exist for the pattern', function() {
+      emitter.removeListener(regexes[0], listeners[0]);
+
+      expect(emitter._regexes).not.to.have.key(regexes[0]);
+      expect(emitter._regexes[regexes[1]]).to.be.a(RegExp);
+    });
+
+    it("doesn't modify the regex if other listeners exist for the pattern", function() {
+      emitter._patternEvents[keys[0]] = [listeners[0], listeners[1]];
+      emitter.removeListener(regexes[0], listeners[0]);
+
+      expect(emitter._regexes).to.have.key(keys[0]);
+    });
+
+    it('returns the instance of PatternEmitter', function() {
+      var returned = emitter.removeListener(keys[0], listeners[0]);
+
+      expect(returned).to.equal(emitter);
+    });
+  });
+
+  describe('prototype.off', function() {
+    it('is an alias for prototype.removeListener', function() {
+      expect(emitter.off).to.equal(emitter.removeListener);
+    });
+  });
+
+  describe('prototype.removeAllListeners', function() {
+    var regex = /.*/;
+
+    beforeEach(function() {
+      emitter.addListener(regex, function() {});
+      emitter.addListener(regex, function() {});
+    });
+
+    it('removes all listeners for a given pattern', function() {
+      emitter.removeAllListeners(regex);
+
+      expect(emitter._patternEvents).not.to.have.key(String(regex));
+    });
+
+    it('deletes the pattern from the _regexes property', function() {
+      emitter.removeAllListeners(regex);
+
+      expect(emitter._regexes).not.to.have.key(String(regex));
+    });
+
+    it('returns the instance of PatternEmitter', function() {
+      var returned = emitter.removeAllListeners(regex);
+
+      expect(returned).to.equal(emitter);
+    });
+
+    it('removes all type and pattern listeners given no type', function() {
+      emitter.on('test', function() {});
+      emitter.on(Symbol('test'), function() {});
+      emitter.removeAllListeners();
+
+      expect(emitter.eventNames()).to.be.empty();
+      expect(emitter.matchingListeners('test')).to.be.empty();
+      expect(emitter._regexes).to.be.empty();
+      expect(emitter._regexesCount).to.be(0);
+    });
+
+    it('emits removeListener for each listener, removing its own last', function() {
+      var removed = [];
+      var listener = function(type) {
+        removed.push(type);
+      };
+
+      emitter.on('removeListener', listener);
+      emitter.on('test', function() {});
+      emitter.removeAllListeners();
+
+      expect(removed).to.have.length(3);
+      expect(removed[0]).to.be('test');
+      expect(removed[1]).to.be(regex);
+      expect(removed[2]).to.be(regex);
+      expect(emitter.eventNames()).to.be.empty();
+    });
+  });
+
+  describe('prototype.listeners', function() {
+    it('returns the listeners for the type or pattern', function() {
+      var listener1 = function() {};
+      var listener2 = function() {};
+
+      emitter.on('test', listener1);
+      emitter.once(/test/, listener2);
+
+      expect(emitter.listeners('test')).to.eql([listener1]);
+      expect(emitter.listeners(/test/)).to.eql([listener2]);
+    });
+  });
+
+  describe('prototype.rawListeners', function() {
+    it('returns a copy of the listeners, including once wrappers', function() {
+      var listener = function() {};
+      var result;
+
+      emitter.once(/test/, listener);
+      result = emitter.rawListeners(/test/);
+      result.pop();
+
+      expect(emitter.rawListeners(/test/)).to.have.length(1);
+      expect(emitter.rawListeners(/test/)[0]).not.to.be(listener);
+      expect(emitter.rawListeners(/test/)[0].listener).to.be(listener);
+    });
+  });
+
+  describe('prototype.listenerCount', function() {
+    it('counts the listeners for the type or pattern', function() {
+      var listener = function() {};
+
+      emitter.on('test', listener);
+      emitter.on(/test/, listener);
+      emitter.once(/test/, listener);
+      emitter.on(/test/, function() {});
+
+      expect(emitter.listenerCount('test')).to.be(1);
+      expect(emitter.listenerCount(/test/)).to.be(3);
+      expect(emitter.listenerCount(/test/, listener)).to.be(2);
+    });
+  });
+
+  describe('prototype.eventNames', function() {
+    it('returns types, including Symbols, followed by patterns', function() {
+      var type = Symbol('test');
+      var regex = /^user:/;
+
+      emitter = new PatternEmitter({glob: true});
+      emitter.on(regex, function() {});
+      emitter.on('user:*', function() {});
+      emitter.on('test', function() {});
+      emitter.on(type, function() {});
+
+      expect(emitter.eventNames()).to.eql(['test', type, regex, 'user:*']);
+      expect(emitter.eventNames()[2]).to.be(regex);
+    });
+
+    it('excludes types and patterns without listeners', function() {
+      var listener = function() {};
+
+      emitter.on('test', listener);
+      emitter.on(/test/, listener);
+      emitter.off('test', listener);
+      emitter.off(/test/, listener);
+
+      expect(emitter.eventNames()).to.be.empty();
+    });
+  });
+
+  describe('prototype.patternListeners', function() {
+    it("throws a TypeError if pattern isn't a RexExp", function() {
+      var invalidCall = function() {
+        PatternEmitter.patternListeners(1);
+      };
+
+      expect(invalidCall).to.throwException(function (e) {
+        expect(e).to.be.a(TypeError);
+      });
+    });
+
+    it('returns all listeners for the given pattern', function() {
+      var regex = /.*/;
+      emitter.addListener(regex, function() {});
+      emitter.addListener(regex, function() {});
+
+      var result = emitter.patternListeners(regex);
+
+      expect(result[0]).to.be(emitter._patternEvents[String(regex)][0]);
+      expect(result[1]).to.be(emitter._patternEvents[String(regex)][1]);
+    });
+  });
+
+  describe('prototype.matchingListeners', function() {
+    it('returns an empty array if no listeners match the event', function() {
+      var result = emitter.matchingListeners(/nonMatching/);
+
+      expect(result).to.have.length(0);
+    });
+
+    it('returns an array with a single listener if only one matches', function() {
+      var listener = function() {};
+      emitter.addListener(/match/, listener);
+
+      emitter.addListener(/nonMatch/, function() {});
+
+      var result = emitter.matchingListeners('match');
+
+      expect(result).to.have.length(1);
+      expect(result).to.eql([listener]);
+    });
+
+    it('returns an array with matching listeners across patterns and type', function() {
+      var listener1 = function() {};
+      var listener2 = function() {};
+      var listener3 = function() {};
+      var listener4 = function() {};
+
+      var invalidListener1 = function() {};
+      var invalidListener2 = function() {};
+
+      emitter.on(new RegExp('test1'), listener1);
+      emitter.on(new RegExp('test\\d'), listener2);
+      emitter.on(new RegExp('test\\d'), listener3);
+      emitter.on('test1', listener4);
+
+      emitter.on(/testing/, invalidListener1);
+      emitter.on('test2', invalidListener2);
+
+      var result = emitter.matchingListeners('test1');
+
+      expect(result).to.have.length(4);
+      expect(result).to.contain(listener1, listener2, listener3, listener4);
+    });
+  });
+
+  describe('prototype.patterns', function() {
+    it('returns the registered patterns in the order they were added', function() {
+      var regex = /^user:/;
+      emitter.on('test', function() {});
+      emitter.on(regex, function() {});
+      emitter.on(/created$/, function() {});
+      emitter.on(regex, function() {});
+
+      var result = emitter.patterns();
+      expect(result).to.have.length(2);
+      expect(result[0]).to.be(regex);
+      expect(String(result[1])).to.be('/created$/');
+    });
+
+    it('returns globs by their string', function() {
+      emitter = new PatternEmitter({glob: true});
+      emitter.on('user:*', function() {});
+
+      expect(emitter.patterns()).to.eql(['user:*']);
+    });
+  });
+
+  describe('prototype.subscriptions', function() {
+    it('returns a serializable table of events and patterns', function() {
+      var onCreate = function onCreate() {};
+      emitter = new PatternEmitter({glob: true});
+      emitter.on('user:created', onCreate);
+      emitter.once('user:created', function() {});
+      emitter.on(Symbol('test'), onCreate);
+      emitter.on(/^user:/, function log() {});
+      emitter.on('order:*', onCreate);
+
+      var result = JSON.parse(JSON.stringify(emitter.subscriptions()));
+      expect(result).to.eql({
+        events: [
+          {type: 'user:created', count: 2, listeners: ['onCreate', 'anonymous']},
+          {type: 'Symbol(test)', count: 1, listeners: ['onCreate']}
+        ],
+        patterns: [
+          {pattern: '/^user:/', count: 1, listeners: ['log']},
+          {pattern: 'order:*', count: 1, listeners: ['onCreate']}
+        ]
+      });
+    });
+  });
+
+  describe('prototype.whoListensTo', function() {
+    it('explains which listeners and patterns match the type', function() {
+      var listener1 = function() {};
+      var listener2 = function() {};
+      var listener3 = function() {};
+
+      emitter.on(/^user:/, listener1);
+      emitter.on(/^order:/, listener2);
+      emitter.on('user:created', listener3);
+
+      var result = emitter.whoListensTo('user:created');
+      expect(result.type).to.be('user:created');
+      expect(result.listeners).to.eql([
+        {pattern: /^user:/, listener: listener1},
+        {pattern: null, listener: listener3}
+      ]);
+      expect(result.patterns).to.eql([
+        {pattern: /^user:/, matched: true, count: 1},
+        {pattern: /^order:/, matched: false, count: 1}
+      ]);
+    });
+
+    it("doesn't match patterns against non-string types", function() {
+      var type = Symbol('test');
+      emitter.on(/.*/, function() {});
+
+      var result = emitter.whoListensTo(type);
+      expect(result.listeners).to.eql([]);
+      expect(result.patterns[0].matched).to.be(false);
+    });
+  });
+
+  describe('prototype.waitFor', function() {
+    it('resolves with the type and arguments of the next event', function() {
+      var promise = emitter.waitFor('test');
+      emitter.emit('test', 'arg1', 'arg2');
+
+      return promise.then(function(event) {
+        expect(event).to.eql({type: 'test', args: ['arg1', 'arg2']});
+      });
+    });
+
+    it('resolves with the matching type given a pattern', function() {
+      var promise = emitter.waitFor(/^deploy:/);
+      emitter.emit('deploy:done', 'arg');
+
+      return promise.then(function(event) {
+        expect(event).to.eql({type: 'deploy:done', args: ['arg']});
+      });
+    });
+
+    it('removes the listener once resolved', function() {
+      var promise = emitter.waitFor(/^deploy:/);
+      emitter.emit('deploy:done');
+
+      return promise.then(function() {
+        expect(emitter.patternListeners(/^deploy:/)).to.have.length(0);
+        expect(emitter._regexes).to.eql({});
+      });
+    });
+
+    it('ignores events for which the filter returns false', function() {
+      var promise = emitter.waitFor(/^deploy:/, {
+        filter: function(event) {
+          return event.args[0] === 'eu';
+        }
+      });
+
+      emitter.emit('deploy:done', 'us');
+      emitter.emit('deploy:done', 'eu');
+
+      return promise.then(function(event) {
+        expect(event.args).to.eql(['eu']);
+      });
+    });
+
+    it('rejects and removes the listener if the filter throws', function() {
+      var promise = emitter.waitFor('test', {
+        filter: function() {
+          throw new Error('boom');
+        }
+      });
+
+      expect(emitter.emit('test')).to.be(true);
+
+      return promise.then(function() {
+        throw new Error('Expected a rejection');
+      }, function(err) {
+        expect(err.message).to.be('boom');
+        expect(emitter.listenerCount('test')).to.be(0);
+      });
+    });
+
+    it('rejects and removes the listener once the timeout elapses', function() {
+      return emitter.waitFor(/^deploy:/, {timeout: 5}).then(function() {
+        throw new Error('Expected a rejection');
+      }, function(err) {
+        expect(err.message).to.contain('Timed out');
+        expect(emitter.patternListeners(/^deploy:/)).to.have.length(0);
+      });
+    });
+
+    it('rejects and removes the listener once aborted', function() {
+      var controller = new AbortController();
+      var promise = emitter.waitFor('test', {signal: controller.signal});
+
+      controller.abort();
+
+      return promise.then(function() {
+        throw new Error('Expected a rejection');
+      }, function(err) {
+        expect(err.name).to.be('AbortError');
+        expect(emitter.listeners('test')).to.have.length(0);
+      });
+    });
+
+    it('rejects immediately given an aborted signal', function() {
+      var controller = new AbortController();
+      controller.abort();
+
+      return emitter.waitFor('test', {
+        signal: controller.signal
+      }).then(function() {
+        throw new Error('Expected a rejection');
+      }, function(err) {
+        expect(err.name).to.be('AbortError');
+        expect(emitter.listeners('test')).to.have.length(0);
+      });
+    });
+  });
+
+  describe('prototype.iterate', function() {
+    it('yields matching events in the order emitted', function() {
+      var iterator = emitter.iterate(/^job:/);
+      emitter.emit('job:1', 'a');
+      emitter.emit('other');
+      emitter.emit('job:2', 'b');
+
+      return iterator.next().then(function(result) {
+        expect(result).to.eql({value: {type: 'job:1', args: ['a']},
+          done: false});
+        return iterator.next();
+      }).then(function(result) {
+        expect(result.value).to.eql({type: 'job:2', args: ['b']});
+      });
+    });
+
+    it('resolves pending requests as events are emitted', function() {
+      var iterator = emitter.iterate('test');
+      var promise = iterator.next();
+
+      emitter.emit('test', 'arg');
+
+      return promise.then(function(result) {
+        expect(result.value.args).to.eql(['arg']);
+      });
     });
-  });
 
-  describe('prototype.addListener', function() {
-    it("throws a TypeError if listener isn't a function", function() {
-      var invalidCall = function() {
-        emitter.addListener(/test/, 'invalid');
-      };
+    it('discards the oldest events beyond the high-water mark', function() {
+      var iterator = emitter.iterate(/^job:/, {highWaterMark: 2});
+      emitter.emit('job:1');
+      emitter.emit('job:2');
+      emitter.emit('job:3');
 
-      expect(invalidCall).to.throwException(function (e) {
-        expect(e).to.be.a(TypeError);
+      return iterator.next().then(function(result) {
+        expect(result.value.type).to.be('job:2');
       });
     });
 
-    it("calls _addListener if type isn't a RegExp", function() {
-      var invoked = false;
-      emitter._addListener = function() {
-        invoked = true;
-      };
+    it("doesn't buffer events given a high-water mark of 0", function() {
+      var iterator = emitter.iterate(/^job:/, {highWaterMark: 0});
+      var promise;
+      emitter.emit('job:1');
 
-      emitter.addListener('test', function() {});
+      promise = iterator.next();
+      emitter.emit('job:2');
 
-      expect(invoked).to.be(true);
+      return promise.then(function(result) {
+        expect(result.value.type).to.be('job:2');
+      });
     });
 
-    it("adds the listener to _events if type isn't a RegExp", function() {
-      var listener = function() {};
-      emitter.addListener('test', listener);
+    it('throws a RangeError given an invalid high-water mark', function() {
+      [-1, NaN, '2', null].forEach(function(highWaterMark) {
+        expect(function() {
+          emitter.iterate('test', {highWaterMark: highWaterMark});
+        }).to.throwException(RangeError);
+      });
+      expect(emitter.listenerCount('test')).to.be(0);
+    });
 
-      expect(emitter._events).to.have.key('test');
-      expect(emitter._events['test']).to.be(listener);
+    it('can be consumed with for await and removes its listener on break', function() {
+      var types = [];
+      var iterator = emitter.iterate(/^job:/);
+      var consume = async function() {
+        for await (var event of iterator) {
+          types.push(event.type);
+          if (types.length === 2) break;
+        }
+      };
+
+      emitter.emit('job:1');
+      emitter.emit('job:2');
+
+      return consume().then(function() {
+        expect(types).to.eql(['job:1', 'job:2']);
+        expect(emitter.patternListeners(/^job:/)).to.have.length(0);
+      });
     });
 
-    it('adds a pattern listener to the _patternEvents property', function() {
-      var regex = /test*/;
-      var listener = function() {};
-      emitter.addListener(regex, listener);
+    it('rejects pending requests and removes its listener once aborted', function() {
+      var controller = new AbortController();
+      var iterator = emitter.iterate('test', {signal: controller.signal});
+      var promise = iterator.next();
+
+      controller.abort();
+
+      return promise.then(function() {
+        throw new Error('Expected a rejection');
+      }, function(err) {
+        expect(err.name).to.be('AbortError');
+        expect(emitter.listeners('test')).to.have.length(0);
+        return iterator.next();
+      }).then(function(result) {
+        expect(result.done).to.be(true);
+      });
+    });
+  });
 
-      expect(emitter._patternEvents).to.have.key(String(regex));
-      expect(emitter._patternEvents[String(regex)]).to.be(listener);
+  describe('prototype.namespace', function() {
+    var billing;
+
+    beforeEach(function() {
+      billing = emitter.namespace('billing');
     });
 
-    it('creates a regex and adds it to the _regexes property', function() {
-      var regex = /test*/;
-      emitter.addListener(regex, function() {});
+    it('returns a PatternEmitter, being the same for the namespace', function() {
+      expect(billing).to.be.a(PatternEmitter);
+      expect(emitter.namespace('billing')).to.be(billing);
+      expect(emitter.namespace('shipping')).not.to.be(billing);
+    });
 
-      expect(emitter._regexes).to.have.key(String(regex));
-      expect(emitter._regexes[String(regex)]).to.be.a(RegExp);
+    it('emits events on the parent within the namespace', function() {
+      var received;
+      emitter.on('billing:paid', function(amount) {
+        received = [this.event, amount];
+      });
+
+      billing.emit('paid', 10);
+
+      expect(received).to.eql(['billing:paid', 10]);
     });
 
-    it('handles multiple listeners', function() {
-      var regex1 = /test1*/;
-      var regex2 = /test2*/;
+    it("doesn't deliver errors to a child without error listeners", function() {
+      var error = new Error('test');
+      var received = [];
 
-      var listener1 = function() {};
-      var listener2 = function() {};
+      emitter.on('billing:error', function(err) {
+        received.push(err);
+      });
 
-      emitter.addListener(regex1, listener1);
-      emitter.addListener(regex2, listener2);
+      expect(emitter.emit('billing:error', error)).to.be(true);
+      expect(billing.emit('error', error)).to.be(false);
+      expect(received).to.eql([error, error]);
 
-      expect(emitter._patternEvents[String(regex1)]).to.equal(listener1);
-      expect(emitter._patternEvents[String(regex2)]).to.equal(listener2);
+      billing.on('error', function(err) {
+        received.push(err);
+      });
+      emitter.emit('billing:error', error);
+
+      expect(received).to.have.length(4);
     });
 
-    it('can add multiple listeners for the same pattern', function() {
-      var regex = /test*/;
-      emitter.addListener(regex, function() {});
-      emitter.addListener(regex, function() {});
+    it("doesn't deliver errors asynchronously without listeners", function() {
+      var error = new Error('test');
 
-      expect(emitter._patternEvents[String(regex)]).to.have.length(2);
+      emitter.on('billing:error', function() {
+        return 1;
+      });
+
+      return emitter.emitAsync('billing:error', error).then(function(values) {
+        expect(values).to.eql([1]);
+      });
     });
 
-    it('returns the instance of PatternEmitter', function() {
-      var returned = emitter.addListener(/test*/, function() {});
-      expect(returned).to.equal(emitter);
+    it('receives events of the namespace without its prefix', function() {
+      var events = [];
+      billing.on('paid', function(amount) {
+        events.push([this.event, amount]);
+      });
+      billing.on(/^paid/, function(amount, ctx) {
+        events.push([ctx.event, amount]);
+      });
+
+      emitter.emit('billing:paid', 10);
+      billing.emit('paid', 20);
+      emitter.emit('paid', 30);
+      emitter.emit('shipping:paid', 40);
+
+      expect(events).to.eql([['paid', 10], ['paid', 10], ['paid', 20],
+        ['paid', 20]]);
     });
-  });
 
-  describe('prototype.on', function() {
-    it('is an alias for prototype.addListener', function() {
-      expect(emitter.on).to.equal(emitter.addListener);
+    it('returns whether the namespace had listeners', function() {
+      emitter.on(/^billing:/, function() {});
+      expect(billing.emit('paid')).to.be(false);
+
+      billing.on('paid', function() {});
+      expect(billing.emit('paid')).to.be(true);
     });
-  });
 
-  describe('prototype.removeListener', function() {
-    var listeners;
-    var regexes = [/pattern1/, /pattern2/];
-    var keys = [String(/pattern1/), String(/pattern2/)];
+    it("returns from the parent's emit whether either had listeners",
+        function() {
+      expect(emitter.emit('billing:paid')).to.be(false);
 
-    beforeEach(function() {
-      listeners = [];
+      billing.on('paid', function() {});
+      expect(emitter.emit('billing:paid')).to.be(true);
+    });
 
-      regexes.forEach(function(regex) {
-        var listener = function() {};
-        listeners.push(listener);
-        emitter._patternEvents[String(regex)] = listener;
-        emitter._regexes[String(regex)] = regex;
+    it('is invoked after the listeners of the parent', function() {
+      var order = [];
+      billing.on('paid', function() {
+        order.push('child');
+      });
+      emitter.on(/^billing:/, function() {
+        order.push('parent');
       });
+
+      emitter.emit('billing:paid');
+
+      expect(order).to.eql(['parent', 'child']);
     });
 
-    it("throws a TypeError if listener isn't a function", function() {
-      var invalidCall = function() {
-        emitter.removeListener(/test/, 'invalid');
-      };
+    it("doesn't register listeners on the parent", function() {
+      emitter.namespace('shipping');
 
-      expect(invalidCall).to.throwException(function (e) {
-        expect(e).to.be.a(TypeError);
+      expect(emitter.eventNames()).to.eql([]);
+      expect(emitter.subscriptions().patterns).to.eql([]);
+      expect(emitter.matchingListeners('billing:paid')).to.eql([]);
+      expect(emitter._regexesCount).to.be(0);
+    });
+
+    it("keeps receiving events after the parent's removeAllListeners",
+        function() {
+      var count = 0;
+      billing.on('paid', function() {
+        count++;
       });
+
+      emitter.removeAllListeners();
+      emitter.emit('billing:paid');
+      billing.emit('paid');
+
+      expect(count).to.be(2);
+      expect(emitter.namespace('billing')).to.be(billing);
     });
 
-    it("calls _removeListener if type isn't a RegExp", function() {
-      var invoked = false;
-      emitter._removeListener = function() {
-        invoked = true;
-      };
+    it('only removes its own listeners with removeAllListeners', function() {
+      var count = 0;
+      emitter.on('billing:paid', function() {
+        count++;
+      });
+      billing.on(/.*/, function() {
+        count++;
+      });
 
-      emitter.removeListener('test', function() {});
+      billing.removeAllListeners();
+      billing.emit('paid');
 
-      expect(invoked).to.be(true);
+      expect(count).to.be(1);
+      expect(billing.eventNames()).to.eql([]);
     });
 
-    it("removes the listener from _events if type isn't a RegExp", function() {
-      var listener = function() {};
-      emitter.addListener('test', listener);
-      emitter.removeListener('test', listener);
+    it('may be nested, and uses the delimiter as a separator', function() {
+      var types = [];
+      emitter = new PatternEmitter({delimiter: '.'});
+      emitter.on('**', function() {
+        types.push(this.event);
+      });
 
-      expect(emitter._events).not.to.have.key('test');
+      emitter.namespace('billing').namespace('invoices').emit('sent');
+
+      expect(types).to.eql(['billing.invoices.sent']);
     });
 
-    it("doesn't remove pattern listeners given a string type", function() {
-      var key = String(/pattern1/);
-      emitter.removeListener(key, listeners[0]);
+    it('throws a TypeError if the name is not a non-empty string', function() {
+      expect(function() {
+        emitter.namespace('');
+      }).to.throwException(TypeError);
+    });
+  });
 
-      expect(emitter._patternEvents).to.have.key(key);
+  describe('prototype.observe', function() {
+    it('returns an Observable of matching events', function() {
+      var events = [];
+      var observable = emitter.observe(/^user:/);
+
+      expect(observable[PatternEmitter._observable]()).to.be(observable);
+
+      observable.subscribe({
+        next: function(event) {
+          events.push(event);
+        }
+      });
+
+      emitter.emit('user:created', 'alice');
+      emitter.emit('order:created');
+
+      expect(events).to.eql([{type: 'user:created', args: ['alice']}]);
     });
 
-    it('removes the listener from the _patternEvents property', function() {
-      emitter.removeListener(regexes[0], listeners[0]);
+    it('adds a listener per subscription, removed once unsubscribed', function() {
+      var count = 0;
+      var observable = emitter.observe('test');
+      var subscription = observable.subscribe(function() {
+        count++;
+      });
+      observable.subscribe(function() {
+        count++;
+      });
 
-      expect(emitter._patternEvents).not.to.have.key(keys[0]);
-      expect(emitter._patternEvents[keys[1]]).to.be(listeners[1]);
+      expect(emitter.listenerCount('test')).to.be(2);
+
+      subscription.unsubscribe();
+      emitter.emit('test');
+
+      expect(subscription.closed).to.be(true);
+      expect(emitter.listenerCount('test')).to.be(1);
+      expect(count).to.be(1);
     });
 
-    it("doesn't modify other listeners for the pattern", function() {
-      emitter._patternEvents[keys[0]] = [listeners[0], listeners[1]];
-      emitter.removeListener(regexes[0], listeners[0]);
+    it("doesn't add a listener if unsubscribed on start", function() {
+      emitter.observe('test').subscribe({
+        start: function(subscription) {
+          subscription.unsubscribe();
+        }
+      });
 
-      expect(emitter._patternEvents[keys[0]][0]).to.be(listeners[1]);
+      expect(emitter.listenerCount('test')).to.be(0);
     });
+  });
 
-    it('removes the regex if no other listeners exist for the pattern', function() {
-      emitter.removeListener(regexes[0], listeners[0]);
+  describe('prototype.createReadStream', function() {
+    it('pushes matching events as objects', function(done) {
+      var readable = emitter.createReadStream(/^user:/);
+      var events = [];
 
-      expect(emitter._regexes).not.to.have.key(regexes[0]);
-      expect(emitter._regexes[regexes[1]]).to.be.a(RegExp);
+      readable.on('data', function(event) {
+        events.push(event);
+        if (events.length < 2) return;
+
+        expect(events).to.eql([
+          {type: 'user:created', args: ['alice']},
+          {type: 'user:deleted', args: []}
+        ]);
+        done();
+      });
+
+      emitter.emit('user:created', 'alice');
+      emitter.emit('order:created');
+      emitter.emit('user:deleted');
     });
 
-    it("doesn't modify the regex if other listeners exist for the pattern", function() {
-      emitter._patternEvents[keys[0]] = [listeners[0], listeners[1]];
-      emitter.removeListener(regexes[0], listeners[0]);
+    it('pushes lines of JSON unless in objectMode', function(done) {
+      var readable = emitter.createReadStream('test', {objectMode: false});
 
-      expect(emitter._regexes).to.have.key(keys[0]);
+      readable.setEncoding('utf8');
+      readable.once('data', function(chunk) {
+        expect(chunk).to.be('{"type":"test","args":[1,"a"]}\n');
+        done();
+      });
+
+      emitter.emit('test', 1, 'a');
     });
 
-    it('returns the instance of PatternEmitter', function() {
-      var returned = emitter.removeListener(keys[0], listeners[0]);
+    it('queues events while its buffer is full', function(done) {
+      var readable = emitter.createReadStream('test', {highWaterMark: 1});
+      var values = [];
 
-      expect(returned).to.equal(emitter);
+      emitter.emit('test', 1);
+      emitter.emit('test', 2);
+      emitter.emit('test', 3);
+
+      readable.on('data', function(event) {
+        values.push(event.args[0]);
+        if (values.length < 4) return;
+
+        expect(values).to.eql([1, 2, 3, 4]);
+        done();
+      });
+
+      emitter.emit('test', 4);
+    });
+
+    it('removes the listener once destroyed', function() {
+      var readable = emitter.createReadStream(/^user:/);
+
+      expect(emitter.listenerCount(/^user:/)).to.be(1);
+      readable.destroy();
+      expect(emitter.listenerCount(/^user:/)).to.be(0);
     });
   });
 
-  describe('prototype.removeAllListeners', function() {
-    var regex = /.*/;
+  describe('prototype.createWriteStream', function() {
+    it('emits the events written to it', function(done) {
+      var writable = emitter.createWriteStream();
+      var events = [];
 
-    beforeEach(function() {
-      emitter.addListener(regex, function() {});
-      emitter.addListener(regex, function() {});
+      emitter.on(/^user:/, function() {
+        var args = Array.prototype.slice.call(arguments, 0, -1);
+        events.push([this.event].concat(args));
+      });
+
+      writable.write({type: 'user:created', args: ['alice']});
+      writable.end({type: 'user:deleted'}, function() {
+        expect(events).to.eql([['user:created', 'alice'], ['user:deleted']]);
+        done();
+      });
     });
 
-    it('removes all listeners for a given pattern', function() {
-      emitter.removeAllListeners(regex);
+    it('emits lines of JSON unless in objectMode', function(done) {
+      var writable = emitter.createWriteStream({objectMode: false});
+      var events = [];
 
-      expect(emitter._patternEvents).not.to.have.key(String(regex));
+      emitter.on('test', function(value) {
+        events.push(value);
+      });
+
+      writable.write('{"type":"test","args":[1]}\n{"type":"te');
+      writable.write('st","args":[2]}\n');
+      writable.end('{"type":"test","args":[3]}', function() {
+        expect(events).to.eql([1, 2, 3]);
+        done();
+      });
     });
 
-    it('deletes the pattern from the _regexes property', function() {
-      emitter.removeAllListeners(regex);
+    it('errors given an invalid record', function(done) {
+      var writable = emitter.createWriteStream();
 
-      expect(emitter._regexes).not.to.have.key(String(regex));
+      writable.on('error', function(err) {
+        expect(err).to.be.a(TypeError);
+        done();
+      });
+
+      writable.write({args: []});
     });
 
-    it('returns the instance of PatternEmitter', function() {
-      var returned = emitter.removeAllListeners(regex);
+    it('may be piped to from another emitter', function(done) {
+      var source = new PatternEmitter();
+      var readable = source.createReadStream(/^db:/, {objectMode: false});
 
-      expect(returned).to.equal(emitter);
+      emitter.on('db:query', function(sql) {
+        expect(sql).to.be('SELECT 1');
+        readable.destroy();
+        done();
+      });
+
+      readable.pipe(emitter.createWriteStream({objectMode: false}));
+      source.emit('db:query', 'SELECT 1');
     });
   });
 
-  describe('prototype.patternListeners', function() {
-    it("throws a TypeError if pattern isn't a RexExp", function() {
-      var invalidCall = function() {
-        PatternEmitter.patternListeners(1);
-      };
+  describe('prototype.forward', function() {
+    var target, events;
 
-      expect(invalidCall).to.throwException(function (e) {
-        expect(e).to.be.a(TypeError);
+    beforeEach(function() {
+      target = new PatternEmitter();
+      events = [];
+      target.on(/.*/, function() {
+        var args = Array.prototype.slice.call(arguments, 0, -1);
+        events.push([this.event].concat(args));
       });
     });
 
-    it('returns all listeners for the given pattern', function() {
-      var regex = /.*/;
-      emitter.addListener(regex, function() {});
-      emitter.addListener(regex, function() {});
+    it('emits matching events on the target with their type', function() {
+      emitter.forward(/^db:/, target);
+      emitter.emit('db:query', 'SELECT 1', 2);
+      emitter.emit('http:request');
 
-      var result = emitter.patternListeners(regex);
+      expect(events).to.eql([['db:query', 'SELECT 1', 2]]);
+    });
 
-      expect(result[0]).to.be(emitter._patternEvents[String(regex)][0]);
-      expect(result[1]).to.be(emitter._patternEvents[String(regex)][1]);
+    it('forwards events of an exact type', function() {
+      emitter.forward('db:query', target);
+      emitter.emit('db:query', 'SELECT 1');
+
+      expect(events).to.eql([['db:query', 'SELECT 1']]);
     });
-  });
 
-  describe('prototype.matchingListeners', function() {
-    it('returns an empty array if no listeners match the event', function() {
-      var result = emitter.matchingListeners(/nonMatching/);
+    it('renames events given a string or function', function() {
+      emitter.forward('db:query', target, {rename: 'query'});
+      emitter.forward(/^db:/, target, {rename: function(type) {
+        return 'sub:' + type;
+      }});
+      emitter.emit('db:query');
 
-      expect(result).to.have.length(0);
+      expect(events).to.eql([['query'], ['sub:db:query']]);
     });
 
-    it('returns an array with a single listener if only one matches', function() {
-      var listener = function() {};
-      emitter.addListener(/match/, listener);
+    it('transforms the arguments', function() {
+      emitter.forward(/^db:/, target, {transform: function(args, type) {
+        return [type, args.length];
+      }});
+      emitter.emit('db:query', 'a', 'b');
 
-      emitter.addListener(/nonMatch/, function() {});
+      expect(events).to.eql([['db:query', 'db:query', 2]]);
+    });
 
-      var result = emitter.matchingListeners('match');
+    it("doesn't loop between emitters forwarding to each other", function() {
+      var third = new PatternEmitter();
+      var count = 0;
 
-      expect(result).to.have.length(1);
-      expect(result).to.eql([listener]);
+      emitter.forward(/^db:/, target);
+      target.forward(/^db:/, third);
+      third.forward(/^db:/, emitter);
+      emitter.on('db:query', function() {
+        count++;
+      });
+
+      emitter.emit('db:query');
+
+      expect(count).to.be(1);
+      expect(events).to.eql([['db:query']]);
+      expect(PatternEmitter._forwarding).to.eql([]);
     });
 
-    it('returns an array with matching listeners across patterns and type', function() {
-      var listener1 = function() {};
-      var listener2 = function() {};
-      var listener3 = function() {};
-      var listener4 = function() {};
+    it('throws a TypeError if the target is not an emitter', function() {
+      expect(function() {
+        emitter.forward(/^db:/, {});
+      }).to.throwException(TypeError);
+    });
+  });
 
-      var invalidListener1 = function() {};
-      var invalidListener2 = function() {};
+  describe('prototype.unforward', function() {
+    it('stops forwarding the type to the target', function() {
+      var target = new PatternEmitter();
+      var other = new PatternEmitter();
+      var listener = function() {};
+      var count = 0;
 
-      emitter.on(new RegExp('test1'), listener1);
-      emitter.on(new RegExp('test\\d'), listener2);
-      emitter.on(new RegExp('test\\d'), listener3);
-      emitter.on('test1', listener4);
+      target.on('db:query', function() {
+        count++;
+      });
+      emitter.forward(/^db:/, target);
+      emitter.forward(/^db:/, other);
+      emitter.on(/^db:/, listener);
 
-      emitter.on(/testing/, invalidListener1);
-      emitter.on('test2', invalidListener2);
+      emitter.unforward(/^db:/, target);
+      emitter.emit('db:query');
 
-      var result = emitter.matchingListeners('test1');
+      expect(count).to.be(0);
+      expect(emitter.listenerCount(/^db:/)).to.be(2);
 
-      expect(result).to.have.length(4);
-      expect(result).to.contain(listener1, listener2, listener3, listener4);
+      emitter.unforward(/^db:/);
+      expect(emitter.listeners(/^db:/)).to.eql([listener]);
+    });
+
+    it('stops forwarding given a rate limited forward', function() {
+      var target = new PatternEmitter();
+      var count = 0;
+
+      target.on('db:query', function() {
+        count++;
+      });
+      emitter.forward(/^db:/, target, {throttle: 5});
+      emitter.forward(/^db:/, target, {batch: {size: 2}});
+
+      emitter.unforward(/^db:/, target);
+      emitter.emit('db:query');
+
+      expect(count).to.be(0);
+      expect(emitter.listenerCount(/^db:/)).to.be(0);
     });
   });
 
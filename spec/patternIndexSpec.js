@@ -0,0 +1,106 @@
+var expect = require('expect.js');
+var PatternIndex = require('../lib/patternIndex');
+
+describe('PatternIndex', function() {
+  var index;
+
+  beforeEach(function() {
+    index = new PatternIndex();
+  });
+
+  describe('prefix', function() {
+    it('returns the literal prefix of an anchored pattern', function() {
+      expect(PatternIndex.prefix(/^metrics:/)).to.be('metrics:');
+      expect(PatternIndex.prefix(/^job:(\w+):done$/)).to.be('job:');
+    });
+
+    it('unescapes escaped punctuation', function() {
+      expect(PatternIndex.prefix(/^a\.b\/c.*/)).to.be('a.b/c');
+    });
+
+    it('stops at escaped classes and assertions', function() {
+      expect(PatternIndex.prefix(/^ab\d/)).to.be('ab');
+      expect(PatternIndex.prefix(/^ab\b/)).to.be('ab');
+    });
+
+    it('excludes characters made optional by a quantifier', function() {
+      expect(PatternIndex.prefix(/^abc?/)).to.be('ab');
+      expect(PatternIndex.prefix(/^abc*/)).to.be('ab');
+      expect(PatternIndex.prefix(/^abc{0,2}/)).to.be('ab');
+      expect(PatternIndex.prefix(/^abc+d/)).to.be('abc');
+    });
+
+    it('returns an empty string for unanchored patterns', function() {
+      expect(PatternIndex.prefix(/metrics:/)).to.be('');
+      expect(PatternIndex.prefix(/^.*/)).to.be('');
+    });
+
+    it('returns an empty string given top-level alternation', function() {
+      expect(PatternIndex.prefix(/^a|b/)).to.be('');
+      expect(PatternIndex.prefix(/^a(?:b|c)/)).to.be('a');
+      expect(PatternIndex.prefix(/^a[|]/)).to.be('a');
+    });
+
+    it('returns an empty string given the ignoreCase or multiline flag', function() {
+      expect(PatternIndex.prefix(/^abc/i)).to.be('');
+      expect(PatternIndex.prefix(/^abc/m)).to.be('');
+    });
+  });
+
+  describe('prototype.candidates', function() {
+    it('returns patterns whose prefix starts the type', function() {
+      index.add('user', /^user:/);
+      index.add('users', /^users:/);
+      index.add('metrics', /^metrics:/);
+
+      expect(index.candidates('user:created')).to.eql(['user']);
+      expect(index.candidates('users:created')).to.eql(['users']);
+      expect(index.candidates('use')).to.eql([]);
+    });
+
+    it('always returns unanchored patterns', function() {
+      index.add('unanchored', /created/);
+      index.add('user', /^user:/);
+
+      expect(index.candidates('metrics:created')).to.eql(['unanchored']);
+    });
+
+    it('returns keys in the order they were added', function() {
+      index.add('a', /^user:created/);
+      index.add('b', /created/);
+      index.add('c', /^user:/);
+      index.add('d', /^u/);
+
+      expect(index.candidates('user:created')).to.eql(['a', 'b', 'c', 'd']);
+    });
+  });
+
+  describe('prototype.remove', function() {
+    it('removes the pattern from the index', function() {
+      index.add('user', /^user:/);
+      index.add('unanchored', /user/);
+
+      index.remove('user');
+      index.remove('unanchored');
+
+      expect(index.candidates('user:created')).to.eql([]);
+    });
+
+    it('prunes nodes that are no longer needed', function() {
+      index.add('ab', /^ab/);
+      index.add('abcd', /^abcd/);
+
+      index.remove('abcd');
+      expect(index._root.children.a.children.b.children).to.eql({});
+
+      index.remove('ab');
+      expect(index._root.children).to.eql({});
+    });
+
+    it('ignores keys that were never added', function() {
+      index.remove('missing');
+
+      expect(index.candidates('missing')).to.eql([]);
+    });
+  });
+});